@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * Article Compiler
+ *
+ * Usage:
+ *   node scripts/build-articles.mjs
+ *   npm run content:articles
+ *
+ * Renders every published article once, so production article pages don't
+ * ship marked, highlight.js or mermaid. Writes one payload per article to
+ * public/content/blog/compiled/<slug>.json (git-ignored):
+ *
+ *   { slug, html, headings, wordCount, diagrams: { total, rendered } }
+ *
+ * Mermaid diagrams are rendered to inline SVG, once per color scheme, in
+ * headless Chrome (see lib/browser.mjs). Without a browser the placeholders
+ * stay in the HTML and BlogArticleView renders them on the client, as it
+ * does for every article in dev.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { ROOT_DIR, BLOG_DIR, readPublishedArticles, splitCode, countWords } from './lib/content.mjs';
+import { launchBrowser } from './lib/browser.mjs';
+import { renderMarkdown, loadLanguages } from '../src/content/markdown.mjs';
+
+const OUTPUT_DIR = path.join(BLOG_DIR, 'compiled');
+const require = createRequire(import.meta.url);
+
+// Matches the site's light and dark color schemes
+const THEMES = { light: 'default', dark: 'dark' };
+// Text is measured at build time, so use fonts every reader has
+const DIAGRAM_FONT = 'ui-sans-serif, system-ui, sans-serif';
+
+// ANSI colors
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  dim: '\x1b[2m',
+};
+
+const log = {
+  success: (msg) => console.log(`${colors.green}✓${colors.reset} ${msg}`),
+  warn: (msg) => console.log(`${colors.yellow}⚠${colors.reset} ${msg}`),
+};
+
+/**
+ * A page with mermaid loaded, or null when no browser is available
+ */
+async function createDiagramRenderer() {
+  const { browser, error } = await launchBrowser();
+  if (!browser) {
+    log.warn(`Diagrams left for the client to render: ${error}`);
+    return null;
+  }
+
+  const page = await browser.newPage();
+  await page.setContent('<!DOCTYPE html><html><body></body></html>');
+  await page.addScriptTag({ path: require.resolve('mermaid/dist/mermaid.min.js') });
+
+  return {
+    async render(code, id, theme) {
+      return page.evaluate(async (source, diagramId, themeName, fontFamily) => {
+        window.mermaid.initialize({ startOnLoad: false, theme: themeName, securityLevel: 'strict', fontFamily });
+        const { svg } = await window.mermaid.render(diagramId, source);
+        return svg;
+      }, code, id, theme, DIAGRAM_FONT);
+    },
+    close: () => browser.close(),
+  };
+}
+
+// Replace each mermaid placeholder with its light and dark SVG. Diagrams that
+// fail to render keep their placeholder (the client shows mermaid's error).
+async function renderDiagrams(html, diagrams, slug, renderer) {
+  const svgs = [];
+  // One at a time: the page's mermaid config is global
+  for (const [index, code] of diagrams.entries()) {
+    if (!renderer) break;
+    try {
+      const light = await renderer.render(code, `mermaid-${slug}-${index}-light`, THEMES.light);
+      const dark = await renderer.render(code, `mermaid-${slug}-${index}-dark`, THEMES.dark);
+      svgs[index] = `<div class="mermaid-light">${light}</div><div class="mermaid-dark">${dark}</div>`;
+    } catch (err) {
+      log.warn(`${slug}: diagram ${index + 1} failed to render: ${err.message.split('\n')[0]}`);
+    }
+  }
+
+  const compiled = html.replace(/<div class="mermaid" data-diagram="(\d+)">[^<]*<\/div>/g, (placeholder, index) => {
+    const svg = svgs[Number(index)];
+    return svg ? `<div class="mermaid mermaid-rendered" data-diagram="${index}">${svg}</div>` : placeholder;
+  });
+  return { html: compiled, rendered: svgs.filter(Boolean).length };
+}
+
+async function main() {
+  const articles = readPublishedArticles();
+  await loadLanguages(articles.map(article => article.body).join('\n'));
+
+  const needsDiagrams = articles.some(article => /^ {0,3}(`{3,}|~{3,})\s*mermaid/m.test(article.body));
+  const renderer = needsDiagrams ? await createDiagramRenderer() : null;
+
+  fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  let total = 0;
+  let rendered = 0;
+  try {
+    for (const { slug, body } of articles) {
+      const { html, headings, diagrams } = renderMarkdown(body);
+      const compiled = await renderDiagrams(html, diagrams, slug, renderer);
+      total += diagrams.length;
+      rendered += compiled.rendered;
+
+      const payload = {
+        slug,
+        html: compiled.html,
+        headings,
+        wordCount: countWords(splitCode(body).prose),
+        diagrams: { total: diagrams.length, rendered: compiled.rendered },
+      };
+      fs.writeFileSync(path.join(OUTPUT_DIR, `${slug}.json`), JSON.stringify(payload));
+    }
+  } finally {
+    await renderer?.close();
+  }
+
+  log.success(`Compiled ${articles.length} articles to ${path.relative(ROOT_DIR, OUTPUT_DIR)}/ ${colors.dim}(${rendered}/${total} diagrams as SVG)${colors.reset}`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
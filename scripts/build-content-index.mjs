@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+/**
+ * Blog Index Generator
+ *
+ * Usage:
+ *   node scripts/build-content-index.mjs
+ *   npm run content:index
+ *
+ * Scans public/content/blog/*.md and writes public/content/blog/index.json
+ * from each article's frontmatter. readTime is computed from the word count,
+ * the excerpt falls back to the first paragraph and related articles are
+ * scored by scripts/lib/related.mjs, so index.json should never be edited
+ * by hand.
+ *
+ * Drafts (draft: true) and posts whose publishAt is still in the future are
+ * left out of index.json and written to drafts.json instead, along with the
+ * ?preview= token that opens them locally. drafts.json is git-ignored and
+ * stripped from production builds.
+ */
+
+import path from 'path';
+import { INDEX_PATH, ROOT_DIR } from './lib/content.mjs';
+import { buildBlogIndex, writeBlogIndex } from './lib/blog-index.mjs';
+
+// ANSI colors
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  dim: '\x1b[2m',
+};
+
+const log = {
+  success: (msg) => console.log(`${colors.green}✓${colors.reset} ${msg}`),
+  warn: (msg) => console.log(`${colors.yellow}⚠${colors.reset} ${msg}`),
+};
+
+function main() {
+  const { index, drafts } = buildBlogIndex();
+
+  for (const entry of [...index.articles, ...drafts.articles]) {
+    if (!entry.title || !entry.date) {
+      log.warn(`${entry.slug}.md is missing title or date`);
+    }
+  }
+
+  writeBlogIndex({ index, drafts });
+
+  log.success(`Wrote ${index.articles.length} articles to ${path.relative(ROOT_DIR, INDEX_PATH)}`
+    + (drafts.articles.length ? `, ${drafts.articles.length} unpublished (preview links below)` : ''));
+
+  for (const draft of drafts.articles) {
+    const when = draft.status === 'scheduled' ? `scheduled for ${draft.publishAt}` : 'draft';
+    console.log(`  ${colors.dim}${when}:${colors.reset} /blog/${draft.slug}?preview=${draft.previewToken}`);
+  }
+}
+
+main();
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+/**
+ * Feed Generator
+ *
+ * Usage:
+ *   node scripts/build-feeds.mjs
+ *   npm run content:feeds
+ *
+ * Writes RSS 2.0 (feed.xml), Atom (atom.xml) and JSON Feed 1.1 (feed.json)
+ * to public/, plus the same three files per category and per tag under
+ * public/feeds/<category|tag>/<slug>/. Item content in every feed is the full
+ * article HTML from src/content/markdown.mjs, the pipeline BlogArticleView
+ * uses, rendered once per article. Drafts and scheduled posts are left out.
+ * All output is git-ignored.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ROOT_DIR, readPublishedArticles, toIndexEntry, sortByDate } from './lib/content.mjs';
+import { renderMarkdown, loadLanguages } from '../src/content/markdown.mjs';
+import { termSlug } from '../src/content/slugify.mjs';
+import { findCategory, categoryPath, tagPath } from '../src/content/taxonomy.mjs';
+import {
+  BLOG_TITLE, BLOG_DESCRIPTION, AUTHOR, FEED_FORMATS,
+  routeUrl, articleUrl, articleId, assetUrl, feedPath,
+} from '../src/content/site.mjs';
+
+const PUBLIC_DIR = path.join(ROOT_DIR, 'public');
+const TERM_FEEDS_DIR = path.join(PUBLIC_DIR, 'feeds');
+
+// Most recent articles per feed
+const FEED_LIMIT = 20;
+
+// ANSI colors
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const cdata = (text) => `<![CDATA[${String(text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+// Frontmatter dates are days; publish them at midnight UTC
+const toDate = (day) => new Date(`${day}T00:00:00Z`);
+
+// Feed readers resolve links against the feed, not the site, so make
+// every site-relative link absolute. Legacy hash links (/#/blog/...) get
+// their clean path.
+function absolutizeLinks(html, slug) {
+  return html.replace(/(href|src)="([/#][^"]*)"/g, (match, attr, url) => {
+    if (url.startsWith('//')) return match;
+    if (url.startsWith('#')) return `${attr}="${articleUrl(slug)}${url}"`;
+    if (url.startsWith('/#/')) return `${attr}="${routeUrl(url.slice(2))}"`;
+    return `${attr}="${assetUrl(url)}"`;
+  });
+}
+
+async function loadItems() {
+  const articles = readPublishedArticles();
+  await loadLanguages(articles.map(article => article.body).join('\n'));
+
+  const items = articles.map((article) => {
+    const entry = toIndexEntry(article);
+    const { html } = renderMarkdown(article.body, { target: 'static' });
+    return { ...entry, id: articleId(entry.slug), url: articleUrl(entry.slug), html: absolutizeLinks(html, entry.slug) };
+  });
+  return sortByDate(items.filter(item => item.title && item.date));
+}
+
+function renderRss(feed) {
+  const items = feed.items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <pubDate>${toDate(item.date).toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(AUTHOR.name)}</dc:creator>
+${[item.category, ...item.tags].filter(Boolean).map(term => `      <category>${escapeXml(term)}</category>\n`).join('')}      <description>${escapeXml(item.excerpt)}</description>
+      <content:encoded>${cdata(item.html)}</content:encoded>
+    </item>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homePage)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>en-us</language>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(assetUrl(feed.paths.rss))}" rel="self" type="${FEED_FORMATS.rss.type}"/>
+${items}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtom(feed) {
+  const entries = feed.items.map(item => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>
+    <id>${escapeXml(item.id)}</id>
+    <published>${toDate(item.date).toISOString()}</published>
+    <updated>${toDate(item.date).toISOString()}</updated>
+${[item.category, ...item.tags].filter(Boolean).map(term => `    <category term="${escapeXml(term)}"/>\n`).join('')}    <summary>${escapeXml(item.excerpt)}</summary>
+    <content type="html">${escapeXml(item.html)}</content>
+  </entry>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.homePage)}"/>
+  <link rel="self" type="${FEED_FORMATS.atom.type}" href="${escapeXml(assetUrl(feed.paths.atom))}"/>
+  <id>${escapeXml(assetUrl(feed.paths.atom))}</id>
+  <updated>${feed.updated.toISOString()}</updated>
+  <author>
+    <name>${escapeXml(AUTHOR.name)}</name>
+    <uri>${escapeXml(AUTHOR.url)}</uri>
+  </author>
+${entries}
+</feed>
+`;
+}
+
+function renderJsonFeed(feed) {
+  const json = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homePage,
+    feed_url: assetUrl(feed.paths.json),
+    description: feed.description,
+    language: 'en-US',
+    authors: [AUTHOR],
+    items: feed.items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.excerpt,
+      content_html: item.html,
+      date_published: toDate(item.date).toISOString(),
+      tags: [item.category, ...item.tags].filter(Boolean),
+    })),
+  };
+  return `${JSON.stringify(json, null, 2)}\n`;
+}
+
+function writeFeed(feed) {
+  const renderers = { rss: renderRss, atom: renderAtom, json: renderJsonFeed };
+
+  for (const [format, render] of Object.entries(renderers)) {
+    const file = path.join(PUBLIC_DIR, feed.paths[format]);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, render(feed));
+  }
+}
+
+// The archive page a category or tag feed mirrors
+const termPaths = { category: categoryPath, tag: tagPath };
+
+function createFeed(items, { title, description, kind = null, term = null }) {
+  const limited = items.slice(0, FEED_LIMIT);
+  const paths = Object.fromEntries(
+    Object.keys(FEED_FORMATS).map(format => [format, feedPath(format, { kind, term })])
+  );
+
+  return {
+    title,
+    description,
+    homePage: routeUrl(kind ? termPaths[kind](term) : '/'),
+    updated: limited.length ? toDate(limited[0].date) : new Date(),
+    paths,
+    items: limited,
+  };
+}
+
+// Group items by category or tag, keeping date order. Terms that share a
+// URL slug ("CI/CD" and "CI-CD") share a feed under the first label seen.
+function groupBy(items, termsOf) {
+  const groups = new Map();
+  items.forEach(item => termsOf(item).forEach((term) => {
+    const key = termSlug(term);
+    if (!groups.has(key)) groups.set(key, { term, items: [] });
+    groups.get(key).items.push(item);
+  }));
+  return groups;
+}
+
+async function main() {
+  const items = await loadItems();
+
+  fs.rmSync(TERM_FEEDS_DIR, { recursive: true, force: true });
+
+  writeFeed(createFeed(items, { title: BLOG_TITLE, description: BLOG_DESCRIPTION }));
+
+  const categories = groupBy(items, item => (item.category ? [item.category] : []));
+  for (const { term: category, items: categoryItems } of categories.values()) {
+    writeFeed(createFeed(categoryItems, {
+      title: `${BLOG_TITLE}: ${category}`,
+      description: findCategory(category)?.description || `${category} articles by ${AUTHOR.name}.`,
+      kind: 'category',
+      term: category,
+    }));
+  }
+
+  const tags = groupBy(items, item => item.tags);
+  for (const { term: tag, items: tagItems } of tags.values()) {
+    writeFeed(createFeed(tagItems, {
+      title: `${BLOG_TITLE}: ${tag}`,
+      description: `Articles tagged "${tag}" by ${AUTHOR.name}.`,
+      kind: 'tag',
+      term: tag,
+    }));
+  }
+
+  console.log(`${colors.green}✓${colors.reset} Wrote feeds for ${Math.min(items.length, FEED_LIMIT)} articles, ${categories.size} categories and ${tags.size} tags to ${path.relative(ROOT_DIR, PUBLIC_DIR)}/`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * Article History Generator
+ *
+ * Usage:
+ *   node scripts/build-history.mjs
+ *   npm run content:history
+ *
+ * Writes public/content/blog/history.json (git-ignored) from the git log of
+ * each published article, for the "Updated on" line and changelog in
+ * BlogArticleView:
+ *
+ *   { articles: { <slug>: { updated, revisions, changes: [...] } } }
+ *
+ * See scripts/lib/history.mjs. Without full git history (a shallow clone or
+ * a build context without .git) every article gets an empty history.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ROOT_DIR, BLOG_DIR, readPublishedArticles } from './lib/content.mjs';
+import { isHistoryAvailable, articleHistory } from './lib/history.mjs';
+
+const HISTORY_PATH = path.join(BLOG_DIR, 'history.json');
+
+// ANSI colors
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  dim: '\x1b[2m',
+};
+
+const log = {
+  success: (msg) => console.log(`${colors.green}✓${colors.reset} ${msg}`),
+  warn: (msg) => console.log(`${colors.yellow}⚠${colors.reset} ${msg}`),
+};
+
+function main() {
+  const available = isHistoryAvailable();
+  if (!available) {
+    log.warn('No full git history (shallow clone or no .git), writing empty article history');
+  }
+
+  const articles = {};
+  for (const { slug } of readPublishedArticles()) {
+    articles[slug] = available ? articleHistory(slug) : { updated: null, revisions: 0, changes: [] };
+  }
+
+  fs.writeFileSync(HISTORY_PATH, `${JSON.stringify({ articles })}\n`);
+
+  const updated = Object.values(articles).filter(history => history.updated).length;
+  log.success(`Wrote history for ${Object.keys(articles).length} articles to ${path.relative(ROOT_DIR, HISTORY_PATH)} ${colors.dim}(${updated} updated since first published)${colors.reset}`);
+}
+
+main();
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Open Graph Image Generator
+ *
+ * Usage:
+ *   node scripts/build-og-images.mjs
+ *   npm run og-images
+ *
+ * Runs after `vite build` (postbuild, before prerender). Writes a 1200×630
+ * card per published article to dist/og/<slug>.png, the og:image and
+ * twitter:image of its page (ogImageUrl in src/content/site.mjs). The
+ * Twitter/X and Threads posts (scripts/syndicate.mjs) attach the same image.
+ *
+ * Cards are SVG (lib/og-card.mjs) rasterized in headless Chrome (see
+ * lib/browser.mjs). Without a browser every article gets a copy of the site
+ * header image instead, so the URLs in the page heads still resolve.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ROOT_DIR } from './lib/content.mjs';
+import { launchBrowser } from './lib/browser.mjs';
+import { renderCardSvg, CARD_WIDTH, CARD_HEIGHT } from './lib/og-card.mjs';
+
+const DIST_DIR = path.join(ROOT_DIR, 'dist');
+const OUTPUT_DIR = path.join(DIST_DIR, 'og');
+const AVATAR_PATH = path.join(ROOT_DIR, 'assets/images/me.jpeg');
+const FALLBACK_IMAGE = path.join(ROOT_DIR, 'assets/images/github-header-image-pm.png');
+
+// ANSI colors
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  dim: '\x1b[2m',
+};
+
+const log = {
+  success: (msg) => console.log(`${colors.green}✓${colors.reset} ${msg}`),
+  warn: (msg) => console.log(`${colors.yellow}⚠${colors.reset} ${msg}`),
+};
+
+function readAvatar() {
+  if (!fs.existsSync(AVATAR_PATH)) return null;
+  return `data:image/jpeg;base64,${fs.readFileSync(AVATAR_PATH).toString('base64')}`;
+}
+
+async function renderCards(articles, browser) {
+  const avatar = readAvatar();
+  const page = await browser.newPage();
+  await page.setViewport({ width: CARD_WIDTH, height: CARD_HEIGHT });
+
+  for (const article of articles) {
+    await page.setContent(`<!DOCTYPE html><html><body style="margin:0">${renderCardSvg(article, { avatar })}</body></html>`);
+    await page.screenshot({
+      path: path.join(OUTPUT_DIR, `${article.slug}.png`),
+      clip: { x: 0, y: 0, width: CARD_WIDTH, height: CARD_HEIGHT },
+    });
+  }
+}
+
+async function main() {
+  const { articles } = JSON.parse(fs.readFileSync(path.join(DIST_DIR, 'content/blog/index.json'), 'utf-8'));
+
+  fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  const { browser, error } = await launchBrowser();
+  if (!browser) {
+    log.warn(`Using the site header image for every article: ${error}`);
+    articles.forEach(({ slug }) => fs.copyFileSync(FALLBACK_IMAGE, path.join(OUTPUT_DIR, `${slug}.png`)));
+    return;
+  }
+
+  try {
+    await renderCards(articles, browser);
+  } finally {
+    await browser.close();
+  }
+
+  log.success(`Rendered ${articles.length} Open Graph images to ${path.relative(ROOT_DIR, OUTPUT_DIR)}/ ${colors.dim}(${CARD_WIDTH}×${CARD_HEIGHT})${colors.reset}`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Search Index Generator
+ *
+ * Usage:
+ *   node scripts/build-search-index.mjs
+ *   npm run content:search
+ *
+ * Builds the inverted index used by the command palette and /search from
+ * published blog articles (title, headings, tags, body), featured projects
+ * and photo captions. Writes public/content/search-index.json (git-ignored).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ROOT_DIR, readPublishedArticles, splitCode, stripMarkdown, extractHeadings, formatDate } from './lib/content.mjs';
+import { tokenize, FIELD_WEIGHTS } from '../src/content/search.mjs';
+
+const OUTPUT_PATH = path.join(ROOT_DIR, 'public/content/search-index.json');
+const PROJECTS_PATH = path.join(ROOT_DIR, 'src/data/projects.json');
+const PHOTOS_PATH = path.join(ROOT_DIR, 'public/data-sources/photos.json');
+
+// ANSI colors
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+};
+
+function articleDocs() {
+  return readPublishedArticles().map(({ slug, frontmatter, body }) => {
+    const { prose } = splitCode(body);
+    const headings = extractHeadings(body).map(h => h.text);
+    const text = stripMarkdown(prose.replace(/^ {0,3}#{1,6}\s+.*$/gm, '').replace(/^\s*([-*+]|\d+\.|>|\|)\s*/gm, ''));
+
+    return {
+      doc: {
+        type: 'article',
+        id: slug,
+        title: frontmatter.title,
+        url: `/blog/${slug}`,
+        meta: [frontmatter.category, formatDate(frontmatter.date)].filter(Boolean).join(' · '),
+        text,
+      },
+      fields: {
+        title: frontmatter.title,
+        tags: (frontmatter.tags || []).join(' '),
+        headings: headings.join(' '),
+        body: `${frontmatter.excerpt || ''} ${body}`,
+      },
+    };
+  });
+}
+
+function projectDocs() {
+  const { projects } = JSON.parse(fs.readFileSync(PROJECTS_PATH, 'utf-8'));
+
+  return projects.map(project => ({
+    doc: {
+      type: 'project',
+      id: project.id,
+      title: project.name,
+      url: `/project/${project.id}`,
+      meta: project.tech.slice(0, 3).join(' · '),
+      text: `${project.description} ${project.highlights.join('. ')}.`,
+    },
+    fields: {
+      title: project.name,
+      tags: project.tech.join(' '),
+      headings: project.highlights.join(' '),
+      body: project.description,
+    },
+  }));
+}
+
+function photoDocs() {
+  const { photos } = JSON.parse(fs.readFileSync(PHOTOS_PATH, 'utf-8'));
+
+  return photos
+    .filter(photo => photo.caption)
+    .map(photo => ({
+      doc: {
+        type: 'photo',
+        id: photo.publicId,
+        title: photo.caption,
+        url: `/photos?photo=${encodeURIComponent(photo.publicId)}`,
+        meta: photo.category,
+        text: photo.alt || '',
+      },
+      fields: {
+        title: photo.caption,
+        tags: photo.category || '',
+        headings: '',
+        body: photo.alt || '',
+      },
+    }));
+}
+
+function buildIndex(entries) {
+  const docs = [];
+  const terms = Object.create(null);
+  let totalLength = 0;
+
+  entries.forEach(({ doc, fields }, docIndex) => {
+    const frequencies = new Map();
+    let length = 0;
+
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const tokens = tokenize(fields[field]);
+      length += tokens.length;
+      tokens.forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + weight));
+    }
+
+    for (const [token, tf] of frequencies) {
+      (terms[token] ||= []).push(docIndex, tf);
+    }
+
+    docs.push({ ...doc, length });
+    totalLength += length;
+  });
+
+  return {
+    version: 1,
+    avgLength: Math.round(totalLength / docs.length),
+    docs,
+    terms,
+  };
+}
+
+function main() {
+  const index = buildIndex([...articleDocs(), ...projectDocs(), ...photoDocs()]);
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(index));
+
+  const size = (fs.statSync(OUTPUT_PATH).size / 1024).toFixed(1);
+  console.log(`${colors.green}✓${colors.reset} Indexed ${index.docs.length} documents, ${Object.keys(index.terms).length} terms (${size} KB) to ${path.relative(ROOT_DIR, OUTPUT_PATH)}`);
+}
+
+main();
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/**
+ * Sitemap Generator
+ *
+ * Usage:
+ *   node scripts/build-sitemap.mjs
+ *   npm run content:sitemap
+ *
+ * Writes public/sitemap.xml and public/robots.txt (both git-ignored). The
+ * sitemap lists:
+ *
+ *   - the static routes in PAGE_META (src/content/head.mjs)
+ *   - every published article in index.json, with its og:image card
+ *   - the featured projects in src/data/projects.json
+ *   - /photos, with an image entry per Cloudinary photo in photos.json
+ *
+ * URLs come from routeUrl/assetUrl in src/content/site.mjs, so they follow
+ * the configured SITE_URL and ROUTER_MODE. An article's lastmod is its
+ * `updated` date from history.json (run content:history first), falling back
+ * to its publish date; data pages use the last commit to their JSON file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ROOT_DIR, INDEX_PATH, BLOG_DIR } from './lib/content.mjs';
+import { isHistoryAvailable, fileUpdated } from './lib/history.mjs';
+import { PAGE_META } from '../src/content/head.mjs';
+import { routeUrl, assetUrl, ogImageUrl, photoUrl } from '../src/content/site.mjs';
+
+const PUBLIC_DIR = path.join(ROOT_DIR, 'public');
+const SITEMAP_PATH = path.join(PUBLIC_DIR, 'sitemap.xml');
+const ROBOTS_PATH = path.join(PUBLIC_DIR, 'robots.txt');
+const HISTORY_PATH = path.join(BLOG_DIR, 'history.json');
+const PROJECTS_PATH = path.join(ROOT_DIR, 'src/data/projects.json');
+const RESUME_PATH = path.join(PUBLIC_DIR, 'data-sources/resume.json');
+const PHOTOS_PATH = path.join(PUBLIC_DIR, 'data-sources/photos.json');
+
+// ANSI colors
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  dim: '\x1b[2m',
+};
+
+const log = {
+  success: (msg) => console.log(`${colors.green}✓${colors.reset} ${msg}`),
+  warn: (msg) => console.log(`${colors.yellow}⚠${colors.reset} ${msg}`),
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+// W3C day (YYYY-MM-DD) from a frontmatter day or an ISO timestamp
+const toDay = (date) => (date ? String(date).slice(0, 10) : null);
+
+// The latest of some dates, ignoring missing ones
+const latest = (...dates) => dates.filter(Boolean).map(toDay).sort().pop() || null;
+
+function renderUrl({ loc, lastmod, changefreq, priority, images = [] }) {
+  return [
+    '  <url>',
+    `    <loc>${escapeXml(loc)}</loc>`,
+    ...(lastmod ? [`    <lastmod>${lastmod}</lastmod>`] : []),
+    `    <changefreq>${changefreq}</changefreq>`,
+    `    <priority>${priority.toFixed(1)}</priority>`,
+    ...images.map(image => `    <image:image>\n      <image:loc>${escapeXml(image)}</image:loc>\n    </image:image>`),
+    '  </url>',
+  ].join('\n');
+}
+
+function renderSitemap(urls) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+        xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+${urls.map(renderUrl).join('\n')}
+</urlset>
+`;
+}
+
+function renderRobots() {
+  return `User-agent: *
+Allow: /
+
+Sitemap: ${assetUrl('/sitemap.xml')}
+`;
+}
+
+function main() {
+  const { articles } = readJson(INDEX_PATH);
+  const history = fs.existsSync(HISTORY_PATH) ? readJson(HISTORY_PATH).articles : {};
+  const projects = readJson(PROJECTS_PATH).projects.filter(project => project.featured);
+  const { photos } = readJson(PHOTOS_PATH);
+
+  const available = isHistoryAvailable();
+  if (!available) {
+    log.warn('No full git history (shallow clone or no .git), leaving lastmod out for data pages');
+  }
+  const dataUpdated = (file) => (available ? toDay(fileUpdated(file)) : null);
+  const projectsUpdated = dataUpdated(PROJECTS_PATH);
+
+  const articleUrls = articles.map(article => ({
+    loc: routeUrl(`/blog/${article.slug}`),
+    lastmod: latest(article.date, history[article.slug]?.updated),
+    changefreq: 'monthly',
+    priority: 0.7,
+    images: [ogImageUrl(article.slug)],
+  }));
+
+  const urls = [
+    {
+      // The home page lists the latest articles and the featured projects
+      loc: routeUrl(PAGE_META.portfolio.path),
+      lastmod: latest(projectsUpdated, ...articleUrls.map(url => url.lastmod)),
+      changefreq: 'weekly',
+      priority: 1.0,
+    },
+    {
+      loc: routeUrl(PAGE_META.resume.path),
+      lastmod: dataUpdated(RESUME_PATH),
+      changefreq: 'monthly',
+      priority: 0.9,
+    },
+    {
+      loc: routeUrl(PAGE_META.photos.path),
+      lastmod: dataUpdated(PHOTOS_PATH),
+      changefreq: 'monthly',
+      priority: 0.8,
+      images: photos.map(photo => photoUrl(photo.publicId)),
+    },
+    ...articleUrls,
+    ...projects.map(project => ({
+      loc: routeUrl(`/project/${project.id}`),
+      lastmod: projectsUpdated,
+      changefreq: 'monthly',
+      priority: 0.6,
+    })),
+  ];
+
+  fs.writeFileSync(SITEMAP_PATH, renderSitemap(urls));
+  fs.writeFileSync(ROBOTS_PATH, renderRobots());
+
+  log.success(`Wrote ${urls.length} URLs to ${path.relative(ROOT_DIR, SITEMAP_PATH)} ${colors.dim}(${articles.length} articles, ${projects.length} projects, ${photos.length} photos)${colors.reset}`);
+  log.success(`Wrote ${path.relative(ROOT_DIR, ROBOTS_PATH)}`);
+}
+
+main();
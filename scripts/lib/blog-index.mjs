@@ -0,0 +1,53 @@
+/**
+ * Blog Index
+ *
+ * Assembles index.json (published articles only) and drafts.json (drafts
+ * and scheduled posts with their preview tokens). Shared by
+ * build-content-index.mjs and publish-scheduled.mjs.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { INDEX_PATH, DRAFTS_PATH, readArticles, toIndexEntry, sortByDate, publishState, parsePublishAt } from './content.mjs';
+import { computeRelated } from './related.mjs';
+
+/**
+ * Token for /blog/<slug>?preview=<token>. Set CONTENT_PREVIEW_SECRET to
+ * make tokens unguessable from the slug alone.
+ */
+export function previewToken(slug) {
+  return crypto
+    .createHash('sha256')
+    .update(`${slug}:${process.env.CONTENT_PREVIEW_SECRET || ''}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+export function buildBlogIndex({ now = new Date() } = {}) {
+  const articles = readArticles().map(article => ({ ...article, state: publishState(article.frontmatter, now) }));
+  const published = articles.filter(article => article.state === 'published');
+  const unpublished = articles.filter(article => article.state !== 'published');
+  const related = computeRelated(published);
+
+  return {
+    index: {
+      articles: sortByDate(published.map(article => ({
+        ...toIndexEntry(article),
+        related: related.get(article.slug),
+      }))),
+    },
+    drafts: {
+      articles: sortByDate(unpublished.map(article => ({
+        ...toIndexEntry(article),
+        status: article.state,
+        publishAt: parsePublishAt(article.frontmatter.publishAt)?.toISOString() || null,
+        previewToken: previewToken(article.slug),
+      }))),
+    },
+  };
+}
+
+export function writeBlogIndex({ index, drafts }) {
+  fs.writeFileSync(INDEX_PATH, `${JSON.stringify(index, null, 2)}\n`);
+  fs.writeFileSync(DRAFTS_PATH, `${JSON.stringify(drafts, null, 2)}\n`);
+}
@@ -0,0 +1,22 @@
+/**
+ * Headless Chrome for build steps that need a real browser (mermaid SVGs).
+ *
+ * puppeteer is a devDependency and downloads its own Chrome on install. Set
+ * PUPPETEER_EXECUTABLE_PATH to use another binary. When no browser can be
+ * started the result carries the reason instead of throwing, so builds on
+ * machines without Chrome can fall back to client-side rendering.
+ */
+
+/**
+ * Returns { browser } or { error }
+ */
+export async function launchBrowser() {
+  try {
+    const { default: puppeteer } = await import('puppeteer');
+    // CI containers don't allow Chrome's sandbox
+    const browser = await puppeteer.launch({ args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+    return { browser };
+  } catch (err) {
+    return { error: err.message.split('\n')[0] };
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * Blog Content Helpers
+ *
+ * Shared by the content build scripts. Articles live in
+ * public/content/blog/*.md with YAML frontmatter parsed by gray-matter.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import matter from 'gray-matter';
+import { createSlugger, plainHeading } from '../../src/content/slugify.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const ROOT_DIR = path.join(__dirname, '../..');
+export const BLOG_DIR = path.join(ROOT_DIR, 'public/content/blog');
+export const INDEX_PATH = path.join(BLOG_DIR, 'index.json');
+// Unpublished articles with preview tokens, for local preview only (git-ignored)
+export const DRAFTS_PATH = path.join(BLOG_DIR, 'drafts.json');
+
+// Reading speed used for readTime (words per minute)
+const PROSE_WPM = 230;
+const CODE_WPM = 90;
+
+const EXCERPT_LENGTH = 200;
+
+// Normalize a frontmatter date (string or YAML Date) to YYYY-MM-DD
+export function formatDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value).trim();
+}
+
+// Split markdown into prose and fenced code
+export function splitCode(markdown) {
+  const code = [];
+  const prose = markdown.replace(/^(```|~~~)[^\n]*\n([\s\S]*?)^\1[ \t]*$/gm, (_, fence, body) => {
+    code.push(body);
+    return '';
+  });
+  return { prose, code: code.join('\n') };
+}
+
+export function countWords(text) {
+  const words = text.match(/[\p{L}\p{N}][\p{L}\p{N}'’_-]*/gu);
+  return words ? words.length : 0;
+}
+
+// Reading time with code blocks weighted slower than prose
+export function computeReadTime(markdown) {
+  const { prose, code } = splitCode(markdown);
+  const minutes = countWords(prose) / PROSE_WPM + countWords(code) / CODE_WPM;
+  return `${Math.max(1, Math.round(minutes))} min read`;
+}
+
+// Strip inline markdown down to plain text
+export function stripMarkdown(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/(\*\*|__|\*|_|`)/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function truncate(text, length) {
+  if (text.length <= length) return text;
+  const cut = text.slice(0, length);
+  return `${cut.slice(0, cut.lastIndexOf(' ')).replace(/[,.;:]$/, '')}...`;
+}
+
+// First prose paragraph of the body, used when frontmatter has no excerpt
+export function extractExcerpt(markdown) {
+  const { prose } = splitCode(markdown);
+  const paragraph = prose
+    .split(/\n\s*\n/)
+    .map(block => block.trim())
+    .find(block => block && !/^(#|>|[-*+] |\d+\. |\||!\[|<|---)/.test(block));
+
+  return paragraph ? truncate(stripMarkdown(paragraph), EXCERPT_LENGTH) : '';
+}
+
+// ATX headings outside code fences, with the ids BlogArticleView assigns
+export function extractHeadings(markdown) {
+  const { prose } = splitCode(markdown);
+  const slugger = createSlugger();
+
+  return prose.split('\n')
+    .map(line => line.match(/^ {0,3}(#{1,6})\s+(.+?)\s*#*\s*$/))
+    .filter(Boolean)
+    .map(([, hashes, text]) => {
+      const plain = plainHeading(text);
+      return { depth: hashes.length, text: plain, id: slugger(plain) };
+    });
+}
+
+// The body without a leading "# Title" that repeats the article's title,
+// for targets that add their own title heading (medium.mjs)
+export function stripTitleHeading(body, title) {
+  const normalize = (text) => plainHeading(text).replace(/\s+/g, ' ').toLowerCase();
+  const match = /^\s*# +(.+?)\s*#*\s*(?:\n|$)/.exec(body);
+  return match && normalize(match[1]) === normalize(title) ? body.slice(match[0].length).replace(/^\s*\n/, '') : body;
+}
+
+// Read and parse a single article
+export function readArticle(slug) {
+  const file = path.join(BLOG_DIR, `${slug}.md`);
+  const raw = fs.readFileSync(file, 'utf-8');
+  const { data, content } = matter(raw);
+
+  return { slug, file, raw, frontmatter: data, body: content };
+}
+
+// Read every article in the blog directory
+export function readArticles() {
+  return fs.readdirSync(BLOG_DIR)
+    .filter(f => f.endsWith('.md'))
+    .sort()
+    .map(f => readArticle(f.replace(/\.md$/, '')));
+}
+
+// publishAt may be a YAML timestamp (Date) or an ISO string
+export function parsePublishAt(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// 'draft', 'scheduled' (publishAt still in the future) or 'published'
+export function publishState(frontmatter, now = new Date()) {
+  if (frontmatter.draft === true) return 'draft';
+  const publishAt = parsePublishAt(frontmatter.publishAt);
+  if (publishAt && publishAt > now) return 'scheduled';
+  return 'published';
+}
+
+// Articles readers may see: no drafts, no posts scheduled for later
+export function readPublishedArticles(now = new Date()) {
+  return readArticles().filter(article => publishState(article.frontmatter, now) === 'published');
+}
+
+// Build the index.json entry for an article
+export function toIndexEntry({ slug, frontmatter, body }) {
+  return {
+    slug,
+    title: frontmatter.title,
+    excerpt: frontmatter.excerpt || extractExcerpt(body),
+    date: formatDate(frontmatter.date),
+    category: frontmatter.category,
+    tags: Array.isArray(frontmatter.tags) ? frontmatter.tags : [],
+    readTime: computeReadTime(body),
+    featured: frontmatter.featured === true,
+    ...(frontmatter.series ? { series: frontmatter.series, seriesOrder: frontmatter.seriesOrder } : {}),
+  };
+}
+
+// Newest first, then by slug so output is stable
+export function sortByDate(entries) {
+  return [...entries].sort((a, b) =>
+    (b.date || '').localeCompare(a.date || '') || a.slug.localeCompare(b.slug)
+  );
+}
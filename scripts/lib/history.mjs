@@ -0,0 +1,103 @@
+/**
+ * Article Revision History
+ *
+ * Reads an article's git history: the commits that changed its body
+ * (following renames), newest first, with the lines they added and removed.
+ * Frontmatter-only commits (tags, series, related) aren't revisions a
+ * reader would care about and are left out. Used by build-history.mjs, and
+ * by build-sitemap.mjs for the lastmod of data-driven pages.
+ *
+ * Needs the full history; in a shallow clone (actions/checkout defaults to
+ * depth 1) or without git at all, isHistoryAvailable() is false and the
+ * build leaves revision history out.
+ */
+
+import { execFileSync } from 'child_process';
+import path from 'path';
+import matter from 'gray-matter';
+import { ROOT_DIR, BLOG_DIR } from './content.mjs';
+
+// Commit header lines in `git log` output, distinct from numstat lines
+const MARKER = '\u001e';
+
+function git(args) {
+  return execFileSync('git', args, { cwd: ROOT_DIR, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+}
+
+/**
+ * Whether full git history is available
+ */
+export function isHistoryAvailable() {
+  try {
+    return git(['rev-parse', '--is-shallow-repository']).trim() === 'false';
+  } catch {
+    return false;
+  }
+}
+
+// numstat paths for renames: "dir/{old.md => new.md}" or "old.md => new.md"
+function renamedPath(file) {
+  return file
+    .replace(/\{[^{}]* => ([^{}]*)\}/, '$1')
+    .replace(/^.* => /, '')
+    .replace(/\/\//g, '/');
+}
+
+// Article body at a revision, without frontmatter
+function bodyAt({ hash, path: file }) {
+  return matter(git(['show', `${hash}:${file}`])).content.trim();
+}
+
+/**
+ * Commits that touched an article's file, newest first:
+ *
+ *   { hash, date, message, additions, deletions, path }
+ *
+ * path is the file's repo-relative path at that revision. Uncommitted
+ * articles have no revisions.
+ */
+export function readRevisions(slug) {
+  const file = path.relative(ROOT_DIR, path.join(BLOG_DIR, `${slug}.md`));
+  const output = git(['log', '--follow', '--numstat', `--format=${MARKER}%H%x09%aI%x09%s`, '--', file]);
+
+  const revisions = [];
+  for (const line of output.split('\n')) {
+    if (line.startsWith(MARKER)) {
+      const [hash, date, message] = line.slice(1).split('\t');
+      revisions.push({ hash, date, message, additions: 0, deletions: 0, path: file });
+      continue;
+    }
+    const stat = /^(\d+|-)\t(\d+|-)\t(.+)$/.exec(line);
+    const revision = revisions[revisions.length - 1];
+    if (!stat || !revision) continue;
+    revision.additions += Number(stat[1]) || 0;
+    revision.deletions += Number(stat[2]) || 0;
+    revision.path = renamedPath(stat[3]);
+  }
+  return revisions;
+}
+
+/**
+ * History entry for history.json: the first commit and every later one that
+ * changed the body. `updated` is the latest revision's date once the
+ * article has been revised, otherwise null.
+ */
+export function articleHistory(slug) {
+  const commits = readRevisions(slug);
+  const bodies = commits.map(bodyAt);
+  const changes = commits.filter((commit, i) => i === commits.length - 1 || bodies[i] !== bodies[i + 1]);
+  return {
+    updated: changes.length > 1 ? changes[0].date : null,
+    revisions: changes.length,
+    changes,
+  };
+}
+
+/**
+ * Date of the last commit that touched a repo file (a data file like
+ * resume.json), or null when it has none
+ */
+export function fileUpdated(file) {
+  const date = git(['log', '-1', '--format=%aI', '--', path.relative(ROOT_DIR, file)]).trim();
+  return date || null;
+}
@@ -0,0 +1,92 @@
+/**
+ * Medium Markdown Variant
+ *
+ * Turns a blog article into the markdown kept in medium-articles/ for
+ * Medium's import: no frontmatter, "# Title" with the excerpt as an italic
+ * subtitle (replacing a "# Title" the body opens with), and a footer
+ * pointing at the canonical URL. Syntax only this
+ * site understands is narrowed to plain markdown:
+ *
+ *   > [!NOTE]                 -> > **Note:**
+ *   ```rust title="x" {3}     -> **x** above a plain ```rust fence
+ *   ```asciinema <url> <title> -> [▶ <title>](<url>)
+ *   [text](/blog/slug)        -> [text](https://<site>/blog/slug)
+ *   [text](#section)          -> [text](https://<site>/blog/<this article>#section)
+ *
+ * Footnotes and math are left as they are; Medium shows them as text.
+ */
+
+import path from 'path';
+import { ROOT_DIR, toIndexEntry, stripTitleHeading } from './content.mjs';
+import { SITE_URL, articleUrl, routeUrl, assetUrl } from '../../src/content/site.mjs';
+
+export const MEDIUM_DIR = path.join(ROOT_DIR, 'medium-articles');
+
+const CALLOUT_LABELS = {
+  NOTE: 'Note',
+  TIP: 'Tip',
+  IMPORTANT: 'Important',
+  WARNING: 'Warning',
+  CAUTION: 'Caution',
+};
+
+// Transform prose and fenced code blocks separately
+function mapBlocks(markdown, { prose, fence }) {
+  return markdown
+    .split(/(^(?:```|~~~)[^\n]*\n[\s\S]*?^(?:```|~~~)[ \t]*$)/m)
+    .map((part, i) => (i % 2 ? fence(part) : prose(part)))
+    .join('');
+}
+
+// "> [!NOTE]" on its own line, optionally followed by text on the next
+function plainCallouts(prose) {
+  return prose.replace(/^> \[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\][ \t]*\n> ?/gm, (_, type) => `> **${CALLOUT_LABELS[type]}:** `);
+}
+
+// Site-relative link and image targets, including legacy /#/ routes and
+// the article's own sections
+function absoluteLinks(prose, slug) {
+  return prose.replace(/(\]\()([/#][^)\s]*)/g, (match, open, url) => {
+    if (url.startsWith('//')) return match;
+    if (url.startsWith('#')) return `${open}${articleUrl(slug)}${url}`;
+    if (url.startsWith('/#/')) return `${open}${routeUrl(url.slice(2))}`;
+    return `${open}${assetUrl(url)}`;
+  });
+}
+
+/**
+ * Fence info strings keep the language only, with a title as a bold line
+ * above the block (as the medium target of markdown.mjs does). Recordings
+ * become links, since Medium can't embed them.
+ */
+function plainFence(block) {
+  const [, marker, language, meta, code] = /^(```|~~~)([\w+#.-]*)([^\n]*)\n([\s\S]*?)\n?(?:```|~~~)[ \t]*$/.exec(block);
+
+  if (language === 'asciinema' || language === 'terminal') {
+    const [src, title = 'Terminal Demo'] = code.trim().split('\n').map(line => line.trim());
+    return `[▶ ${title}](${src})`;
+  }
+
+  const title = /title="([^"]*)"/.exec(meta)?.[1];
+  return `${title ? `**${title}**\n\n` : ''}${marker}${language}\n${code}\n${marker}`;
+}
+
+/**
+ * Medium variant of an article read with readArticle()
+ */
+export function toMediumMarkdown(article) {
+  const { title, excerpt } = toIndexEntry(article);
+  const body = mapBlocks(stripTitleHeading(article.body, title).trim(), {
+    prose: text => absoluteLinks(plainCallouts(text), article.slug),
+    fence: plainFence,
+  });
+
+  return [
+    `# ${title}`,
+    `*${excerpt}*`,
+    '---',
+    body,
+    '---',
+    `*Originally published at [${new URL(SITE_URL).host}](${articleUrl(article.slug)})*`,
+  ].join('\n\n') + '\n';
+}
@@ -0,0 +1,107 @@
+/**
+ * Open Graph Card
+ *
+ * A 1200×630 SVG social card for an article: category in its accent color,
+ * title, tags, date and the author's avatar. build-og-images.mjs rasterizes
+ * it to PNG. The SVG is self-contained (the avatar is inlined), so it renders
+ * without network access.
+ *
+ * Text is wrapped by an estimated glyph width, since there is no layout
+ * engine here; the estimate errs wide so lines don't overflow.
+ */
+
+import { AUTHOR, SITE_URL } from '../../src/content/site.mjs';
+import { categoryAccent } from '../../src/content/taxonomy.mjs';
+
+export const CARD_WIDTH = 1200;
+export const CARD_HEIGHT = 630;
+
+const PADDING = 80;
+const TEXT_WIDTH = CARD_WIDTH - PADDING * 2;
+// Fonts every reader (and CI machine) has, like the diagrams in build-articles.mjs
+const FONT = 'ui-sans-serif, system-ui, -apple-system, Segoe UI, Helvetica, Arial, sans-serif';
+// Average advance of a bold sans glyph, in ems
+const GLYPH_WIDTH = 0.58;
+const MAX_TITLE_LINES = 4;
+const MAX_TAGS = 4;
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Longer titles get a smaller size so they still fit in a few lines
+function titleSize(title) {
+  if (title.length <= 40) return 68;
+  if (title.length <= 80) return 58;
+  return 50;
+}
+
+// Greedy word wrap; the last line gets an ellipsis when text is left over
+function wrap(text, fontSize, maxLines) {
+  const perLine = Math.floor(TEXT_WIDTH / (fontSize * GLYPH_WIDTH));
+  const lines = [];
+  let line = '';
+
+  for (const word of text.split(/\s+/)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (candidate.length <= perLine || !line) {
+      line = candidate;
+      continue;
+    }
+    lines.push(line);
+    line = word;
+    if (lines.length === maxLines) break;
+  }
+  if (lines.length < maxLines) {
+    lines.push(line);
+    return lines;
+  }
+
+  const last = lines[maxLines - 1];
+  lines[maxLines - 1] = `${last.length < perLine ? last : last.slice(0, perLine - 1).replace(/\s+\S*$/, '')}…`;
+  return lines;
+}
+
+// 2026-02-08 -> Feb 8, 2026
+function cardDate(date) {
+  return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * SVG markup for an article's card. avatar is a data: URL (or null for none).
+ */
+export function renderCardSvg(article, { avatar = null } = {}) {
+  const accent = categoryAccent(article.category);
+  const size = titleSize(article.title);
+  const lines = wrap(article.title, size, MAX_TITLE_LINES);
+  const lineHeight = Math.round(size * 1.15);
+  const titleTop = 200;
+  const tags = (Array.isArray(article.tags) ? article.tags : []).slice(0, MAX_TAGS);
+  const categoryWidth = Math.round(article.category.length * 22 * GLYPH_WIDTH + 48);
+  const footerY = CARD_HEIGHT - PADDING - 40;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}">
+  <defs>
+    <linearGradient id="background" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="#0f172a"/>
+      <stop offset="1" stop-color="#1e293b"/>
+    </linearGradient>
+    <clipPath id="avatar"><circle cx="${PADDING + 40}" cy="${footerY + 40}" r="40"/></clipPath>
+  </defs>
+  <rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="url(#background)"/>
+  <circle cx="${CARD_WIDTH - 60}" cy="60" r="260" fill="${accent}" opacity="0.12"/>
+  <rect x="0" y="${CARD_HEIGHT - 12}" width="${CARD_WIDTH}" height="12" fill="${accent}"/>
+  <g font-family="${FONT}">
+    <rect x="${PADDING}" y="${PADDING}" width="${categoryWidth}" height="44" rx="22" fill="${accent}" fill-opacity="0.18" stroke="${accent}" stroke-opacity="0.6"/>
+    <text x="${PADDING + 24}" y="${PADDING + 30}" font-size="22" font-weight="600" fill="${accent}">${escapeXml(article.category)}</text>
+    <text x="${PADDING}" y="${titleTop}" font-size="${size}" font-weight="700" fill="#f8fafc">${lines.map((line, i) => `<tspan x="${PADDING}" dy="${i ? lineHeight : 0}">${escapeXml(line)}</tspan>`).join('')}</text>
+    <text x="${PADDING}" y="${footerY - 28}" font-size="24" fill="#94a3b8">${escapeXml(tags.map(tag => `#${tag}`).join('   '))}</text>
+    ${avatar ? `<image href="${avatar}" x="${PADDING}" y="${footerY}" width="80" height="80" clip-path="url(#avatar)" preserveAspectRatio="xMidYMid slice"/>` : ''}
+    <text x="${PADDING + (avatar ? 104 : 0)}" y="${footerY + 34}" font-size="28" font-weight="600" fill="#f8fafc">${escapeXml(AUTHOR.name)}</text>
+    <text x="${PADDING + (avatar ? 104 : 0)}" y="${footerY + 70}" font-size="22" fill="#94a3b8">${cardDate(article.date)} · ${escapeXml(article.readTime)}</text>
+    <text x="${CARD_WIDTH - PADDING}" y="${footerY + 70}" font-size="22" fill="#94a3b8" text-anchor="end">${escapeXml(new URL(SITE_URL).host)}</text>
+  </g>
+</svg>`;
+}
@@ -0,0 +1,109 @@
+/**
+ * Related Articles
+ *
+ * Scores every pair of articles by tag overlap, shared category and TF-IDF
+ * cosine similarity of the body text. Used by build-content-index.mjs to
+ * store the top picks in index.json.
+ *
+ * Authors can steer the result with frontmatter:
+ *
+ *   related:
+ *     pin: [slug-a, slug-b]   # always shown first, in this order
+ *     exclude: [slug-c]       # never shown
+ */
+
+import { splitCode, stripMarkdown } from './content.mjs';
+import { tokenize } from '../../src/content/search.mjs';
+
+export const RELATED_COUNT = 3;
+
+// Weights for each signal; every signal is normalized to 0..1
+const WEIGHTS = {
+  tags: 0.5,
+  category: 0.15,
+  text: 0.35,
+};
+
+const normalizeTag = (tag) => String(tag).toLowerCase();
+
+// Jaccard overlap of two tag sets
+function tagOverlap(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  a.forEach((tag) => { if (b.has(tag)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
+
+// L2-normalized TF-IDF vectors (log-scaled term frequency)
+function buildVectors(documents) {
+  const docFrequency = new Map();
+  const counts = documents.map((tokens) => {
+    const tf = new Map();
+    tokens.forEach(token => tf.set(token, (tf.get(token) || 0) + 1));
+    tf.forEach((_, token) => docFrequency.set(token, (docFrequency.get(token) || 0) + 1));
+    return tf;
+  });
+
+  return counts.map((tf) => {
+    const vector = new Map();
+    let norm = 0;
+    tf.forEach((count, token) => {
+      const weight = (1 + Math.log(count)) * Math.log(documents.length / docFrequency.get(token));
+      if (weight > 0) {
+        vector.set(token, weight);
+        norm += weight * weight;
+      }
+    });
+    norm = Math.sqrt(norm) || 1;
+    vector.forEach((weight, token) => vector.set(token, weight / norm));
+    return vector;
+  });
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let sum = 0;
+  small.forEach((weight, token) => {
+    const other = large.get(token);
+    if (other) sum += weight * other;
+  });
+  return sum;
+}
+
+/**
+ * Pick related articles for each article.
+ * Takes the output of readArticles() and returns Map<slug, slug[]>.
+ */
+export function computeRelated(articles, { count = RELATED_COUNT } = {}) {
+  const vectors = buildVectors(articles.map(({ frontmatter, body }) =>
+    tokenize(`${frontmatter.title || ''} ${stripMarkdown(splitCode(body).prose)}`)
+  ));
+  const tagSets = articles.map(({ frontmatter }) =>
+    new Set((Array.isArray(frontmatter.tags) ? frontmatter.tags : []).map(normalizeTag))
+  );
+  const slugs = new Set(articles.map(a => a.slug));
+
+  const related = new Map();
+
+  articles.forEach((article, i) => {
+    // A single slug is taken as a list of one; content:lint flags it, but
+    // `predev` builds without linting first
+    const { pin, exclude } = article.frontmatter.related || {};
+    const pinned = [].concat(pin ?? []).filter(slug => slug !== article.slug && slugs.has(slug));
+    const skip = new Set([article.slug, ...[].concat(exclude ?? []), ...pinned]);
+
+    const scored = articles
+      .map((other, j) => ({
+        slug: other.slug,
+        score: WEIGHTS.tags * tagOverlap(tagSets[i], tagSets[j])
+          + WEIGHTS.category * (article.frontmatter.category && article.frontmatter.category === other.frontmatter.category ? 1 : 0)
+          + WEIGHTS.text * cosine(vectors[i], vectors[j]),
+      }))
+      .filter(({ slug, score }) => !skip.has(slug) && score > 0)
+      .sort((a, b) => b.score - a.score || a.slug.localeCompare(b.slug));
+
+    related.set(article.slug, [...pinned, ...scored.map(s => s.slug)].slice(0, count));
+  });
+
+  return related;
+}
@@ -0,0 +1,124 @@
+/**
+ * Frontmatter Schema
+ *
+ * Declares the frontmatter every article in public/content/blog must have.
+ * Categories come from src/content/taxonomy.mjs. Used by
+ * scripts/lint-content.mjs.
+ */
+
+import { CATEGORY_NAMES } from '../../src/content/taxonomy.mjs';
+
+export const frontmatterSchema = {
+  title: { type: 'string', required: true },
+  excerpt: { type: 'string' },
+  date: { type: 'date', required: true },
+  category: { type: 'string', required: true, enum: CATEGORY_NAMES },
+  tags: { type: 'array', items: 'string', required: true, minItems: 1 },
+  featured: { type: 'boolean' },
+  // Unpublished posts are left out of the index, feeds, search and sitemap
+  draft: { type: 'boolean' },
+  publishAt: { type: 'datetime' },
+  // Multi-part articles share a series name and are ordered by seriesOrder (1, 2, ...)
+  series: { type: 'string' },
+  seriesOrder: { type: 'integer', min: 1 },
+  // Steer the related-articles list: pinned slugs come first, excluded never appear
+  related: {
+    type: 'object',
+    properties: {
+      pin: { type: 'array', items: 'string' },
+      exclude: { type: 'array', items: 'string' },
+    },
+  },
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+// A time needs an explicit offset so the publish moment doesn't depend on the machine
+const ISO_DATETIME = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/;
+
+export function isIsoDate(value) {
+  if (value instanceof Date) return !Number.isNaN(value.getTime());
+  if (typeof value !== 'string' || !ISO_DATE.test(value)) return false;
+
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+export function isIsoDateTime(value) {
+  if (value instanceof Date) return !Number.isNaN(value.getTime());
+  if (typeof value !== 'string' || !ISO_DATETIME.test(value)) return false;
+  return !Number.isNaN(new Date(value).getTime()) && isIsoDate(value.slice(0, 10));
+}
+
+function checkType(value, type) {
+  switch (type) {
+    case 'date':
+      return isIsoDate(value) || 'must be an ISO date (YYYY-MM-DD)';
+    case 'datetime':
+      return isIsoDateTime(value) || 'must be an ISO date or date-time with offset (YYYY-MM-DDTHH:MM:SSZ)';
+    case 'array':
+      return Array.isArray(value) || 'must be a list';
+    case 'integer':
+      return Number.isInteger(value) || 'must be a whole number';
+    case 'object':
+      return (typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) || 'must be a mapping';
+    default:
+      return typeof value === type || `must be a ${type}`;
+  }
+}
+
+/**
+ * Validate frontmatter against the schema.
+ * Returns a list of { key, level, message } problems.
+ */
+export function validateFrontmatter(frontmatter, schema = frontmatterSchema, parent = null) {
+  const problems = [];
+  // Nested problems are reported against the top-level key
+  const topKey = (key) => key.split('.')[0];
+  const error = (key, message) => problems.push({ key: topKey(key), level: 'error', message });
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const key = parent ? `${parent}.${name}` : name;
+    const value = frontmatter[name];
+
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) error(key, `"${key}" is required`);
+      continue;
+    }
+
+    const typeCheck = checkType(value, rule.type);
+    if (typeCheck !== true) {
+      error(key, `"${key}" ${typeCheck}`);
+      continue;
+    }
+
+    if (rule.min !== undefined && value < rule.min) {
+      error(key, `"${key}" must be at least ${rule.min}`);
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      error(key, `"${key}" must be one of: ${rule.enum.join(', ')} (got "${value}")`);
+    }
+
+    if (rule.type === 'array') {
+      if (rule.minItems && value.length < rule.minItems) {
+        error(key, `"${key}" needs at least ${rule.minItems} item(s)`);
+      }
+      if (rule.items && value.some(item => typeof item !== rule.items)) {
+        error(key, `"${key}" items must be ${rule.items}s`);
+      }
+    }
+
+    if (rule.type === 'object' && rule.properties) {
+      problems.push(...validateFrontmatter(value, rule.properties, key));
+    }
+  }
+
+  for (const name of Object.keys(frontmatter)) {
+    if (!schema[name]) {
+      const key = parent ? `${parent}.${name}` : name;
+      problems.push({ key: topKey(key), level: 'warning', message: `Unknown frontmatter key "${key}"` });
+    }
+  }
+
+  return problems;
+}
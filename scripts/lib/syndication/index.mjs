@@ -0,0 +1,59 @@
+/**
+ * Syndication
+ *
+ * Posts articles to other platforms through one adapter per provider:
+ *
+ *   {
+ *     name, label,
+ *     limits,                  // provider-specific limits, used by validate
+ *     credentials,             // { key: ENV_VAR } read by the syndicate CLI
+ *     format(article),         // -> post: what would be sent
+ *     measure(text),           // -> length as the provider counts it (text posts)
+ *     validate(post),          // -> problems, [] when the post can be sent
+ *     post(post, context),     // -> { id, url, ...}; throws on failure
+ *   }
+ *
+ * Articles come from loadArticle() below, so every adapter sees the same
+ * title, excerpt, tags and URLs. context is { credentials, endpoint, sleep,
+ * log }: endpoint(host, path) builds request URLs from the adapter's `hosts`,
+ * or from a single base URL when pointed at a mock server (mock-server.mjs).
+ * Requests to the site itself, like fetching the card, go through the
+ * `site` host too, so a mock run stays offline.
+ * A post that fails after part of it went out (a thread) throws an error
+ * with `posted`, the result so far, so the CLI can record it.
+ * Text and HTTP helpers for adapters are in shared.mjs. Used by
+ * scripts/syndicate.mjs.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { BLOG_DIR, readArticle, publishState, toIndexEntry } from '../content.mjs';
+import { articleUrl, ogImageUrl } from '../../../src/content/site.mjs';
+import medium from './medium.mjs';
+import twitter from './twitter.mjs';
+import threads from './threads.mjs';
+
+export const PROVIDERS = { medium, twitter, threads };
+
+/**
+ * An article as the adapters see it:
+ *
+ *   { slug, title, excerpt, category, tags, date, url, image, body, state, publishAt }
+ *
+ * state is publishState() ('published', 'draft' or 'scheduled'). Returns
+ * null when there's no such article.
+ */
+export function loadArticle(slug) {
+  if (!fs.existsSync(path.join(BLOG_DIR, `${slug}.md`))) return null;
+
+  const article = readArticle(slug);
+  const entry = toIndexEntry(article);
+  return {
+    ...entry,
+    url: articleUrl(slug),
+    image: ogImageUrl(slug),
+    body: article.body,
+    state: publishState(article.frontmatter),
+    publishAt: article.frontmatter.publishAt || null,
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * Syndication Ledger
+ *
+ * content/syndication.json (committed) records what has been posted where,
+ * so an article goes out once per platform no matter how often it's edited:
+ *
+ *   { articles: { <slug>: { <provider>: { id, url, postedAt, hash } } } }
+ *
+ * hash is articleHash() of the article as posted, so `syndication:status`
+ * can tell which posts predate a later edit. Entries added with
+ * `syndicate --record` weren't posted by it, so nothing is known about the
+ * post: they're { id: null, url: null, postedAt: null, hash, recorded: true }.
+ * Twitter/X threads also keep every tweet's id in `thread`, with
+ * `partial: true` when posting stopped partway (see syndicate --thread).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { ROOT_DIR } from '../content.mjs';
+
+export const LEDGER_PATH = path.join(ROOT_DIR, 'content/syndication.json');
+
+export function readLedger() {
+  if (!fs.existsSync(LEDGER_PATH)) return { articles: {} };
+  return JSON.parse(fs.readFileSync(LEDGER_PATH, 'utf-8'));
+}
+
+// Slugs and providers sorted, so each post changes only its own lines
+export function writeLedger(ledger) {
+  const sortKeys = (object) => Object.fromEntries(Object.keys(object).sort().map(key => [key, object[key]]));
+  const articles = Object.fromEntries(
+    Object.keys(ledger.articles).sort().map(slug => [slug, sortKeys(ledger.articles[slug])])
+  );
+
+  fs.mkdirSync(path.dirname(LEDGER_PATH), { recursive: true });
+  fs.writeFileSync(LEDGER_PATH, `${JSON.stringify({ articles }, null, 2)}\n`);
+}
+
+/**
+ * The ledger entry for an article on a provider, or null if not posted there
+ */
+export function findPost(ledger, slug, provider) {
+  return ledger.articles[slug]?.[provider] || null;
+}
+
+/**
+ * Record a post, or with `recorded` an article marked as posted without
+ * posting it
+ */
+export function recordPost(ledger, slug, provider, { id = null, url = null, hash, recorded = false, thread, partial }) {
+  const post = recorded
+    ? { id: null, url: null, postedAt: null, hash, recorded: true }
+    : { id, url, postedAt: new Date().toISOString(), hash, ...(thread && { thread }), ...(partial && { partial }) };
+  ledger.articles[slug] = { ...ledger.articles[slug], [provider]: post };
+}
+
+/**
+ * When a ledger entry was posted, for display: its day, or "recorded"
+ */
+export function postedOn(post) {
+  return post.recorded ? 'recorded' : post.postedAt.slice(0, 10);
+}
+
+/**
+ * Hash of what the posts are made from: the title, excerpt and body, not
+ * frontmatter like tags or series
+ */
+export function articleHash(article) {
+  return crypto
+    .createHash('sha256')
+    .update([article.title, article.excerpt, article.body.trim()].join('\n'))
+    .digest('hex');
+}
@@ -0,0 +1,77 @@
+/**
+ * Medium Adapter
+ *
+ * Publishes the article as HTML through the Medium API, with the canonical
+ * URL pointing back at the site. It's rendered here rather than sent as
+ * markdown so callouts, footnotes and math survive (Medium's markdown
+ * import has none).
+ *
+ * Token: https://medium.com/me/settings (Integration tokens)
+ * Profile: https://medium.com/@punitmishra
+ */
+
+import { renderMarkdown } from '../../../src/content/markdown.mjs';
+import { SITE_URL } from '../../../src/content/site.mjs';
+import { stripTitleHeading } from '../content.mjs';
+import { readJson } from './shared.mjs';
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+export default {
+  name: 'medium',
+  label: 'Medium',
+  hosts: { api: 'https://api.medium.com' },
+  limits: { title: 100, tags: 5, tagLength: 25 },
+  credentials: { token: 'MEDIUM_TOKEN' },
+
+  format(article) {
+    // The title heading is added here, so not the body's own copy of it
+    const { html } = renderMarkdown(stripTitleHeading(article.body, article.title), { target: 'medium' });
+    return {
+      title: article.title,
+      tags: article.tags.slice(0, this.limits.tags),
+      canonicalUrl: article.url,
+      content: `<h1>${escapeHtml(article.title)}</h1>\n${html}<hr>\n<p><em>Originally published at <a href="${article.url}">${new URL(SITE_URL).host}</a></em></p>`,
+      // Publish as a draft to review on Medium first (syndicate --draft)
+      draft: false,
+    };
+  },
+
+  validate(post) {
+    const { title, tagLength } = this.limits;
+    return [
+      ...(post.title.length > title ? [`title is ${post.title.length} characters, Medium allows ${title}`] : []),
+      ...post.tags
+        .filter(tag => tag.length > tagLength)
+        .map(tag => `tag "${tag}" is over ${tagLength} characters`),
+    ];
+  },
+
+  async post(post, { credentials, endpoint }) {
+    const headers = {
+      'Authorization': `Bearer ${credentials.token}`,
+      'Content-Type': 'application/json',
+    };
+
+    const user = await readJson(await fetch(endpoint('api', '/v1/me'), { headers }), 'Medium authentication');
+
+    const result = await readJson(await fetch(endpoint('api', `/v1/users/${user.data.id}/posts`), {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        title: post.title,
+        contentFormat: 'html',
+        content: post.content,
+        tags: post.tags,
+        publishStatus: post.draft ? 'draft' : 'public',
+        canonicalUrl: post.canonicalUrl,
+        license: 'all-rights-reserved',
+      }),
+    }), 'Medium publish');
+
+    return { id: result.data.id, url: result.data.url };
+  },
+};
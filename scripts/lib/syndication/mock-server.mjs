@@ -0,0 +1,112 @@
+/**
+ * Mock Syndication API
+ *
+ * A local HTTP server that answers the requests the adapters make, so they
+ * can be run end to end without network access or real accounts
+ * (`syndicate --mock`). It answers like the real APIs do for the endpoints
+ * used here, checks each request has credentials, and records it:
+ *
+ *   Medium    GET  /v1/me, POST /v1/users/<id>/posts
+ *   Twitter   POST /1.1/media/upload.json, POST /2/tweets
+ *   Threads   POST /v1.0/<user>/threads, POST /v1.0/<user>/threads_publish
+ *   Site      GET and HEAD /og/<slug>.png, a placeholder card
+ *
+ * Anything else gets a 404.
+ */
+
+import http from 'http';
+
+let nextId = 1000;
+const newId = () => String(nextId++);
+
+// 1x1 PNG standing in for an article's card
+const CARD = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// [method, path pattern, credentials check, handler(match, url, body) -> [status, json or Buffer]]
+const ROUTES = [
+  ['GET', /^\/og\/[^/]+\.png$/, 'none', () => [200, CARD]],
+  ['HEAD', /^\/og\/[^/]+\.png$/, 'none', () => [200, CARD]],
+  ['GET', /^\/v1\/me$/, 'bearer', () => [200, { data: { id: 'mock-user', username: 'mock', name: 'Mock User' } }]],
+  ['POST', /^\/v1\/users\/([^/]+)\/posts$/, 'bearer', (match, url, body) => {
+    const { title, content, publishStatus } = JSON.parse(body);
+    if (!title || !content) return [400, { errors: [{ message: 'title and content are required', code: 6000 }] }];
+    const id = newId();
+    return [201, { data: { id, title, authorId: match[1], publishStatus, url: `https://medium.com/@mock/${id}` } }];
+  }],
+  ['POST', /^\/1\.1\/media\/upload\.json$/, 'oauth', () => [200, { media_id_string: newId() }]],
+  ['POST', /^\/2\/tweets$/, 'oauth', (match, url, body) => {
+    const { text } = JSON.parse(body);
+    if (!text) return [400, { title: 'Invalid Request', detail: 'text is required', status: 400 }];
+    return [201, { data: { id: newId(), text } }];
+  }],
+  ['POST', /^\/v1\.0\/[^/]+\/threads$/, 'token', (match, url) => {
+    if (!url.searchParams.get('text') && url.searchParams.get('media_type') === 'TEXT') {
+      return [400, { error: { message: 'text is required', type: 'OAuthException', code: 100 } }];
+    }
+    return [200, { id: newId() }];
+  }],
+  ['POST', /^\/v1\.0\/[^/]+\/threads_publish$/, 'token', (match, url) => (
+    url.searchParams.get('creation_id')
+      ? [200, { id: newId() }]
+      : [400, { error: { message: 'creation_id is required', type: 'OAuthException', code: 100 } }]
+  )],
+];
+
+const AUTHORIZED = {
+  none: () => true,
+  bearer: (req) => /^Bearer \S+/.test(req.headers.authorization || ''),
+  oauth: (req) => /^OAuth .*oauth_signature="/.test(req.headers.authorization || ''),
+  token: (req, url) => Boolean(url.searchParams.get('access_token')),
+};
+
+/**
+ * Start the server on `port` (0 for any free one). Resolves to
+ * { url, requests, close() }; requests lists { method, path } as they come in.
+ */
+export function startMockServer({ port = 0 } = {}) {
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const body = await readBody(req);
+    requests.push({ method: req.method, path: url.pathname });
+
+    const send = (status, body) => {
+      const image = Buffer.isBuffer(body);
+      res.writeHead(status, { 'Content-Type': image ? 'image/png' : 'application/json' });
+      res.end(image ? body : JSON.stringify(body));
+    };
+
+    for (const [method, pattern, auth, handle] of ROUTES) {
+      const match = pattern.exec(url.pathname);
+      if (req.method !== method || !match) continue;
+      if (!AUTHORIZED[auth](req, url)) return send(401, { error: 'missing credentials' });
+      try {
+        return send(...handle(match, url, body.toString('utf-8')));
+      } catch (error) {
+        return send(400, { error: error.message });
+      }
+    }
+    send(404, { error: `no mock for ${req.method} ${url.pathname}` });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.on('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
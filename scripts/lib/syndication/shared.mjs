@@ -0,0 +1,44 @@
+/**
+ * Syndication Helpers
+ *
+ * Text and HTTP helpers shared by the provider adapters.
+ */
+
+/**
+ * Hashtags for the first `count` tags, letters and digits only
+ */
+export function hashtags(tags, count = 3) {
+  return tags
+    .slice(0, count)
+    .map(tag => tag.replace(/[^a-zA-Z0-9]/g, ''))
+    .filter(Boolean)
+    .map(tag => `#${tag}`);
+}
+
+/**
+ * Shorten text to at most `length` characters, at a word boundary, with an
+ * ellipsis
+ */
+export function truncate(text, length) {
+  if (text.length <= length) return text;
+  const cut = text.slice(0, length - 1);
+  const space = cut.lastIndexOf(' ');
+  return `${(space > 0 ? cut.slice(0, space) : cut).replace(/[,.;:]$/, '')}…`;
+}
+
+/**
+ * Throw with a provider's error response when a request failed
+ */
+export async function readJson(response, label) {
+  const text = await response.text();
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    body = null;
+  }
+  if (!response.ok || !body) {
+    throw new Error(`${label} failed (${response.status}): ${text.slice(0, 300)}`);
+  }
+  return body;
+}
@@ -0,0 +1,99 @@
+/**
+ * Article Threads
+ *
+ * Turns an article into a 4–8 tweet thread (syndicate twitter --thread):
+ *
+ *   1/n   opener: the title and a hook from the excerpt, with the card
+ *   2/n…  one tweet per h2 section: its heading and key bullet points, or
+ *         its first sentence when it has no list
+ *   n/n   the link to the article and hashtags
+ *
+ * Sections past the six that fit are dropped, wrap-ups ("Conclusion",
+ * "Final Thoughts") first since the last tweet links the whole article.
+ * Lengths are weighted like Twitter's (tweet-text.mjs).
+ */
+
+import { splitCode, stripMarkdown } from '../content.mjs';
+import { plainHeading } from '../../../src/content/slugify.mjs';
+import { hashtags } from './shared.mjs';
+import { TWEET_LIMIT, tweetLength, fitTweet } from './tweet-text.mjs';
+
+export const MIN_TWEETS = 4;
+export const MAX_TWEETS = 8;
+
+const WRAP_UP = /^(conclusion|final thoughts|closing thoughts|wrapping up|summary|takeaways?|key takeaways|resources|further reading|references)\b/i;
+
+// Longest "1/8 " numbering prefix, kept free in every tweet
+const NUMBER_ROOM = `${MAX_TWEETS}/${MAX_TWEETS} `.length;
+
+/**
+ * h2 sections of an article body, outside code fences:
+ *
+ *   [{ heading, bullets: [...], sentence }]
+ *
+ * bullets are the section's top-level list items as plain text; sentence
+ * is the first sentence of its first paragraph.
+ */
+export function articleSections(body) {
+  const { prose } = splitCode(body);
+  return prose
+    .split(/^## +/m)
+    .slice(1)
+    .map((section) => {
+      const [headingLine, ...lines] = section.split('\n');
+      const bullets = lines
+        .map(line => /^(?:[-*+]|\d+\.) +(.+)$/.exec(line))
+        .filter(Boolean)
+        .map(([, item]) => stripMarkdown(item));
+      const paragraph = lines.join('\n')
+        .split(/\n\s*\n/)
+        .map(block => block.trim())
+        .find(block => block && !/^(#|>|[-*+] |\d+\. |\||!\[|<|---)/.test(block));
+      const sentence = paragraph ? stripMarkdown(paragraph).match(/^.+?[.!?](?=\s|$)/)?.[0] || stripMarkdown(paragraph) : '';
+      return { heading: plainHeading(headingLine.replace(/\s*#*\s*$/, '')), bullets, sentence };
+    })
+    .filter(section => section.bullets.length || section.sentence);
+}
+
+// The sections to tweet, in article order, at most `count`
+function pickSections(sections, count) {
+  if (sections.length <= count) return sections;
+  const keep = sections.filter(section => !WRAP_UP.test(section.heading));
+  return (keep.length >= count ? keep : sections).slice(0, count);
+}
+
+// Heading plus as many bullets as fit, or the first sentence
+function sectionTweet({ heading, bullets, sentence }) {
+  const limit = TWEET_LIMIT - NUMBER_ROOM;
+  if (!bullets.length) return fitTweet(`${heading}\n\n${sentence}`, limit);
+
+  let text = heading;
+  for (const bullet of bullets) {
+    const next = `${text}${text === heading ? '\n' : ''}\n• ${bullet}`;
+    if (tweetLength(next) > limit) break;
+    text = next;
+  }
+  // Not even one bullet fit: shorten the first
+  return text === heading ? fitTweet(`${heading}\n\n• ${bullets[0]}`, limit) : text;
+}
+
+/**
+ * Tweets for an article from loadArticle(), numbered, or [] when it has too
+ * few sections for a thread
+ */
+export function buildThread(article) {
+  const sections = pickSections(articleSections(article.body), MAX_TWEETS - 2);
+  if (sections.length < MIN_TWEETS - 2) return [];
+
+  const limit = TWEET_LIMIT - NUMBER_ROOM;
+  const link = `Read the full article: ${article.url}`;
+  const tags = hashtags(article.tags).join(' ');
+
+  const hook = '\n\n🧵👇';
+  const tweets = [
+    `${fitTweet(`${article.title}\n\n${article.excerpt}`, limit - tweetLength(hook))}${hook}`,
+    ...sections.map(sectionTweet),
+    [link, tags].filter(Boolean).join('\n\n'),
+  ];
+  return tweets.map((text, i) => `${i + 1}/${tweets.length} ${text}`);
+}
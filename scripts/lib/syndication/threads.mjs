@@ -0,0 +1,80 @@
+/**
+ * Threads Adapter
+ *
+ * Posts the title, excerpt, link and hashtags through the Threads Graph API
+ * with the article's Open Graph card. Threads fetches image_url itself, so
+ * the card is only attached once it's live; otherwise the post is
+ * text-only.
+ *
+ * Token and user id: a Meta developer app with the Threads API
+ * (https://developers.facebook.com)
+ */
+
+import { SITE_URL } from '../../../src/content/site.mjs';
+import { hashtags, truncate, readJson } from './shared.mjs';
+
+// Image containers take a while to process before they can be published
+const IMAGE_PROCESSING_MS = 30000;
+
+// Threads takes its parameters in the query string
+function graphUrl(endpoint, path, params) {
+  return `${endpoint('api', path)}?${new URLSearchParams(params)}`;
+}
+
+// Checked on the site host, so a mock answers it; Threads is still sent the
+// real URL
+const imageAvailable = (image, endpoint) => fetch(endpoint('site', new URL(image).pathname), { method: 'HEAD' })
+  .then(res => res.ok)
+  .catch(() => false);
+
+export default {
+  name: 'threads',
+  label: 'Threads',
+  hosts: { api: 'https://graph.threads.net', site: SITE_URL },
+  limits: { text: 500 },
+  credentials: { accessToken: 'THREADS_ACCESS_TOKEN', userId: 'THREADS_USER_ID' },
+
+  measure: (text) => [...text].length,
+
+  format(article) {
+    const tags = hashtags(article.tags).join(' ');
+    const link = `Read more: ${article.url}`;
+    // The excerpt gets whatever the title, link and hashtags leave over
+    const room = this.limits.text - [article.title, link, tags].join('\n\n').length - 2;
+
+    return {
+      text: [article.title, truncate(article.excerpt, room), `${link}\n${tags}`].join('\n\n').trim(),
+      image: article.image,
+    };
+  },
+
+  validate(post) {
+    return this.measure(post.text) > this.limits.text
+      ? [`text is ${this.measure(post.text)} characters, the limit is ${this.limits.text}`]
+      : [];
+  },
+
+  async post(post, { credentials, endpoint, sleep, log }) {
+    const { accessToken, userId } = credentials;
+    const withImage = post.image && await imageAvailable(post.image, endpoint);
+    if (post.image && !withImage) {
+      log.warn(`Card not found, posting text only: ${post.image}`);
+    }
+
+    const container = await readJson(await fetch(graphUrl(endpoint, `/v1.0/${userId}/threads`, {
+      media_type: withImage ? 'IMAGE' : 'TEXT',
+      ...(withImage && { image_url: post.image }),
+      text: post.text,
+      access_token: accessToken,
+    }), { method: 'POST' }), 'Threads container');
+
+    if (withImage) await sleep(IMAGE_PROCESSING_MS);
+
+    const result = await readJson(await fetch(graphUrl(endpoint, `/v1.0/${userId}/threads_publish`, {
+      creation_id: container.id,
+      access_token: accessToken,
+    }), { method: 'POST' }), 'Threads publish');
+
+    return { id: result.id, url: `https://threads.net/@punitmishra/post/${result.id}` };
+  },
+};
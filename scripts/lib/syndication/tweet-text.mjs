@@ -0,0 +1,68 @@
+/**
+ * Tweet Length
+ *
+ * Counts text the way Twitter/X does (twitter-text's v3 weighting), so a
+ * tweet that fits here isn't rejected there:
+ *
+ *   - URLs count as 23, however long, since they're shortened to t.co links;
+ *     bare domains like example.com are linked too
+ *   - emoji count as 2, including ZWJ sequences, flags and keycaps
+ *   - Latin, general punctuation and a few other ranges count as 1 per code
+ *     point, everything else (CJK, most symbols) as 2
+ *
+ * Text is NFC-normalized first, like Twitter does.
+ */
+
+export const TWEET_LIMIT = 280;
+const URL_LENGTH = 23;
+
+// Code point ranges that weigh 1; the rest weigh 2
+const LIGHT_RANGES = [[0, 4351], [8192, 8205], [8208, 8223], [8242, 8247]];
+
+// Links with a scheme, and bare domains on the TLDs Twitter commonly links
+const URL_PATTERN = /\bhttps?:\/\/[^\s]+|\b(?:[a-z0-9-]+\.)+(?:com|org|net|io|dev|ai|app|co)\b(?:\/[^\s]*)?/gi;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}|⃣/u;
+
+const segmenter = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+const codePointWeight = (codePoint) => (
+  LIGHT_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end) ? 1 : 2
+);
+
+/**
+ * Weighted length of a tweet
+ */
+export function tweetLength(text) {
+  const normalized = text.normalize('NFC');
+  const urls = normalized.match(URL_PATTERN) || [];
+  const rest = normalized.replace(URL_PATTERN, '');
+
+  let length = urls.length * URL_LENGTH;
+  for (const { segment } of segmenter.segment(rest)) {
+    if (EMOJI_PATTERN.test(segment)) {
+      length += 2;
+      continue;
+    }
+    for (const char of segment) length += codePointWeight(char.codePointAt(0));
+  }
+  return length;
+}
+
+/**
+ * Shorten text word by word, with an ellipsis, until its weighted length is
+ * at most `limit`
+ */
+export function fitTweet(text, limit = TWEET_LIMIT) {
+  if (tweetLength(text) <= limit) return text;
+
+  const words = text.split(' ');
+  while (words.length > 1) {
+    words.pop();
+    const candidate = `${words.join(' ').replace(/[,.;:]$/, '')}…`;
+    if (tweetLength(candidate) <= limit) return candidate;
+  }
+  // A single word too long to fit; cut by code point
+  const chars = [...text];
+  while (chars.length && tweetLength(`${chars.join('')}…`) > limit) chars.pop();
+  return `${chars.join('')}…`;
+}
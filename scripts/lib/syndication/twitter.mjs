@@ -0,0 +1,227 @@
+/**
+ * Twitter/X Adapter
+ *
+ * Tweets the title, hashtags and link with the article's Open Graph card
+ * attached (dist/og/<slug>.png, see build-og-images.mjs), read from a local
+ * build or the live site. When the card can't be uploaded the tweet goes out
+ * text-only. With --thread the article goes out as a thread instead
+ * (thread.mjs), each tweet a reply to the one before and the card on the
+ * first. Lengths are weighted like Twitter's (tweet-text.mjs).
+ *
+ * Keys: https://developer.twitter.com (an app with read and write access)
+ * Profile: https://twitter.com/punitmishra
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { ROOT_DIR } from '../content.mjs';
+import { SITE_URL } from '../../../src/content/site.mjs';
+import { hashtags, readJson } from './shared.mjs';
+import { TWEET_LIMIT, tweetLength, fitTweet } from './tweet-text.mjs';
+import { buildThread, MIN_TWEETS, MAX_TWEETS } from './thread.mjs';
+
+const OG_DIR = path.join(ROOT_DIR, 'dist/og');
+
+// OAuth 1.0a HMAC-SHA1 signature over the method, URL and oauth_* params
+function oauthSignature(method, url, params, consumerSecret, tokenSecret) {
+  const sortedParams = Object.keys(params)
+    .sort()
+    .map(k => `${encodeURIComponent(k)}=${encodeURIComponent(params[k])}`)
+    .join('&');
+
+  const signatureBase = [
+    method.toUpperCase(),
+    encodeURIComponent(url),
+    encodeURIComponent(sortedParams),
+  ].join('&');
+
+  const signingKey = `${encodeURIComponent(consumerSecret)}&${encodeURIComponent(tokenSecret)}`;
+
+  return crypto
+    .createHmac('sha1', signingKey)
+    .update(signatureBase)
+    .digest('base64');
+}
+
+// OAuth 1.0a Authorization header for a request without form-encoded params
+function oauthHeader(method, url, credentials) {
+  const { apiKey, apiSecret, accessToken, accessSecret } = credentials;
+
+  const oauthParams = {
+    oauth_consumer_key: apiKey,
+    oauth_nonce: crypto.randomBytes(16).toString('hex'),
+    oauth_signature_method: 'HMAC-SHA1',
+    oauth_timestamp: Math.floor(Date.now() / 1000).toString(),
+    oauth_token: accessToken,
+    oauth_version: '1.0',
+  };
+
+  oauthParams.oauth_signature = oauthSignature(method, url, oauthParams, apiSecret, accessSecret);
+
+  return 'OAuth ' + Object.keys(oauthParams)
+    .sort()
+    .map(k => `${encodeURIComponent(k)}="${encodeURIComponent(oauthParams[k])}"`)
+    .join(', ');
+}
+
+// The article's Open Graph card, from a local build or the deployed site
+async function readCardImage(post, { endpoint }) {
+  const localPath = path.join(OG_DIR, `${post.slug}.png`);
+  if (fs.existsSync(localPath)) return fs.readFileSync(localPath);
+
+  const url = endpoint('site', new URL(post.image).pathname);
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url} returned ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// Upload an image (v1.1 media endpoint; multipart bodies aren't signed)
+async function uploadMedia(image, { credentials, endpoint }) {
+  const url = endpoint('upload', '/1.1/media/upload.json');
+
+  const form = new FormData();
+  form.append('media', new Blob([image], { type: 'image/png' }), 'card.png');
+
+  const result = await readJson(await fetch(url, {
+    method: 'POST',
+    headers: { 'Authorization': oauthHeader('POST', url, credentials) },
+    body: form,
+  }), 'Media upload');
+  return result.media_id_string;
+}
+
+export default {
+  name: 'twitter',
+  label: 'Twitter/X',
+  hosts: { api: 'https://api.twitter.com', upload: 'https://upload.twitter.com', site: SITE_URL },
+  limits: { text: TWEET_LIMIT, thread: [MIN_TWEETS, MAX_TWEETS] },
+  credentials: {
+    apiKey: 'TWITTER_API_KEY',
+    apiSecret: 'TWITTER_API_SECRET',
+    accessToken: 'TWITTER_ACCESS_TOKEN',
+    accessSecret: 'TWITTER_ACCESS_SECRET',
+  },
+
+  measure: tweetLength,
+
+  format(article) {
+    const text = (title) => [`📝 ${title}`, '', hashtags(article.tags).join(' '), '', `🔗 ${article.url}`].join('\n');
+    // The title gets whatever the rest leaves over
+    const room = this.limits.text - tweetLength(text(''));
+
+    return {
+      slug: article.slug,
+      text: text(fitTweet(article.title, room)),
+      image: article.image,
+    };
+  },
+
+  /**
+   * The article as a thread (syndicate twitter --thread)
+   */
+  formatThread(article) {
+    return {
+      slug: article.slug,
+      thread: buildThread(article),
+      image: article.image,
+    };
+  },
+
+  /**
+   * A post for the daily update (syndicate twitter --daily-update) from the
+   * blog index
+   */
+  formatDailyUpdate(articles, today = new Date()) {
+    const dayName = today.toLocaleDateString('en-US', { weekday: 'long' });
+    const recent = articles.filter(a => (today - new Date(a.date)) / (1000 * 60 * 60 * 24) <= 7).length;
+    const categories = [...new Set(articles.map(a => a.category))];
+
+    return {
+      text: [
+        `🚀 ${dayName} Engineering Update`,
+        '',
+        '📊 Blog Stats:',
+        `• ${articles.length} technical articles`,
+        `• ${recent} new this week`,
+        `• Topics: ${categories.slice(0, 3).join(', ')}`,
+        '',
+        '💡 Latest: AI/ML, Systems, Rust',
+        '',
+        `🔗 ${new URL(SITE_URL).host}`,
+        '',
+        '#SoftwareEngineering #Tech',
+      ].join('\n'),
+      image: null,
+    };
+  },
+
+  validate(post) {
+    const tooLong = (text, label) => (tweetLength(text) > this.limits.text
+      ? [`${label} is ${tweetLength(text)} characters, the limit is ${this.limits.text}`]
+      : []);
+    if (!post.thread) return tooLong(post.text, 'text');
+
+    const [min, max] = this.limits.thread;
+    if (post.thread.length < min || post.thread.length > max) {
+      return [`a thread needs ${min}–${max} tweets, the article makes ${post.thread.length} (it needs ${min - 2} or more h2 sections)`];
+    }
+    return post.thread.flatMap((text, i) => tooLong(text, `tweet ${i + 1}`));
+  },
+
+  async post(post, context) {
+    const { credentials, endpoint, log } = context;
+
+    // A thread being continued already has its card on the opener
+    const mediaIds = [];
+    if (post.image && !post.resume?.length) {
+      try {
+        mediaIds.push(await uploadMedia(await readCardImage(post, context), context));
+      } catch (error) {
+        log.warn(`Posting without the card image: ${error.message}`);
+      }
+    }
+
+    const url = endpoint('api', '/2/tweets');
+    const tweet = async (text, fields) => {
+      const result = await readJson(await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Authorization': oauthHeader('POST', url, credentials),
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ text, ...fields }),
+      }), 'Tweet');
+      return result.data.id;
+    };
+    const statusUrl = (id) => `https://twitter.com/punitmishra/status/${id}`;
+    const media = mediaIds.length ? { media: { media_ids: mediaIds } } : {};
+
+    if (!post.thread) {
+      const id = await tweet(post.text, media);
+      return { id, url: statusUrl(id) };
+    }
+
+    // The card goes on the opener; every later tweet replies to the one
+    // before. post.resume has the ids of a thread that stopped partway, so
+    // it carries on from its last tweet.
+    const ids = [...(post.resume || [])];
+    for (const [i, text] of post.thread.entries()) {
+      if (i < ids.length) continue;
+      try {
+        ids.push(await tweet(text, i ? { reply: { in_reply_to_tweet_id: ids[i - 1] } } : media));
+      } catch (error) {
+        if (!ids.length) throw error;
+        // What's live gets recorded, so a rerun continues it
+        throw Object.assign(
+          new Error(`${error.message}, thread stopped after ${ids.length} of ${post.thread.length} tweets (${statusUrl(ids[0])})`),
+          { posted: { id: ids[0], url: statusUrl(ids[0]), thread: ids, partial: true } }
+        );
+      }
+      log.success(`Tweet ${i + 1}/${post.thread.length}`);
+    }
+    return { id: ids[0], url: statusUrl(ids[0]), thread: ids };
+  },
+};
@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+
+/**
+ * Blog Content Linter
+ *
+ * Usage:
+ *   node scripts/lint-content.mjs
+ *   node scripts/lint-content.mjs --slug article-slug
+ *   npm run content:lint
+ *
+ * Checks every article in public/content/blog for:
+ *   - frontmatter that matches the schema in scripts/lib/schema.mjs
+ *   - related.pin / related.exclude slugs that point to a real article
+ *   - series parts with a seriesOrder that no other part uses
+ *   - /blog/<slug> links that point to a real (and, from live posts, published) article
+ *   - #anchor links that point to a real heading
+ *   - unclosed code fences, malformed mermaid/asciinema blocks and recordings
+ *     from hosts outside the embed allowlist (src/content/embeds.mjs)
+ *
+ * Prints file:line diagnostics and exits non-zero when any error is found.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import matter from 'gray-matter';
+import { BLOG_DIR, ROOT_DIR, publishState } from './lib/content.mjs';
+import { validateFrontmatter } from './lib/schema.mjs';
+import { createSlugger, plainHeading } from '../src/content/slugify.mjs';
+import { isEmbedAllowed } from '../src/content/embeds.mjs';
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : null;
+};
+
+const onlySlug = getArg('slug');
+
+// ANSI colors
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  red: '\x1b[31m',
+  dim: '\x1b[2m',
+  bold: '\x1b[1m',
+};
+
+const MERMAID_DIAGRAMS = [
+  'graph', 'flowchart', 'sequenceDiagram', 'classDiagram', 'stateDiagram', 'stateDiagram-v2',
+  'erDiagram', 'journey', 'gantt', 'pie', 'quadrantChart', 'requirementDiagram', 'gitGraph',
+  'mindmap', 'timeline', 'sankey-beta', 'xychart-beta', 'block-beta', 'C4Context',
+];
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)(.*)$/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.+?)\s*#*\s*$/;
+const LINK = /!?\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+
+// Walk the markdown body and collect headings, links and fenced blocks
+function scanBody(body, lineOffset) {
+  const headings = [];
+  const links = [];
+  const fences = [];
+  const slugger = createSlugger();
+  let open = null;
+
+  body.split('\n').forEach((text, i) => {
+    const line = lineOffset + i;
+
+    if (open) {
+      const close = text.match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+      if (close && close[1][0] === open.marker[0] && close[1].length >= open.marker.length) {
+        fences.push(open);
+        open = null;
+      } else {
+        open.lines.push(text);
+      }
+      return;
+    }
+
+    const fence = text.match(FENCE);
+    if (fence) {
+      open = { marker: fence[1], lang: fence[2].toLowerCase(), line, lines: [] };
+      return;
+    }
+
+    const heading = text.match(HEADING);
+    if (heading) {
+      headings.push({ id: slugger(plainHeading(heading[2])), line });
+    }
+
+    const withoutCode = text.replace(/`[^`]*`/g, '');
+    for (const match of withoutCode.matchAll(LINK)) {
+      links.push({ target: match[1], line });
+    }
+  });
+
+  return { headings, links, fences, unclosed: open };
+}
+
+function checkFence(fence, report) {
+  const content = fence.lines.filter(l => l.trim());
+
+  if (fence.lang === 'mermaid') {
+    if (!content.length) {
+      report(fence.line, 'error', 'Empty mermaid diagram');
+      return;
+    }
+    const type = content[0].trim().split(/\s+/)[0];
+    if (!MERMAID_DIAGRAMS.includes(type)) {
+      report(fence.line + 1, 'error', `Unknown mermaid diagram type "${type}"`);
+    }
+  }
+
+  if (fence.lang === 'asciinema' || fence.lang === 'terminal') {
+    const [src, , ...extra] = content.map(l => l.trim());
+    if (!src) {
+      report(fence.line, 'error', `Empty ${fence.lang} block, expected a recording URL`);
+    } else if (!/^\S+$/.test(src) || !isEmbedAllowed(src)) {
+      report(fence.line + 1, 'error', `${fence.lang} source must be a site path or an https:// URL on an embed host in src/content/embeds.mjs (got "${src}")`);
+    }
+    if (extra.length) {
+      report(fence.line + 3, 'error', `${fence.lang} block takes a URL and an optional title, found ${extra.length} extra line(s)`);
+    }
+  }
+}
+
+// Frontmatter keys are reported on the line they appear on
+function keyLine(raw, key) {
+  const lines = raw.split('\n');
+  const index = lines.findIndex((l, i) => i > 0 && l.startsWith(`${key}:`));
+  return index === -1 ? 1 : index + 1;
+}
+
+function lintArticle(file, raw, articles, report) {
+  if (!raw.startsWith('---\n')) {
+    report(1, 'error', 'Missing frontmatter block');
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = matter(raw);
+  } catch (err) {
+    report(err.mark ? err.mark.line + 2 : 1, 'error', `Invalid frontmatter: ${err.reason || err.message}`);
+    return;
+  }
+
+  for (const problem of validateFrontmatter(parsed.data)) {
+    report(keyLine(raw, problem.key), problem.level, problem.message);
+  }
+
+  const bodyStart = raw.slice(0, raw.length - parsed.content.length).split('\n').length;
+  const slug = path.basename(file, '.md');
+
+  for (const list of ['pin', 'exclude']) {
+    const slugs = parsed.data.related?.[list];
+    if (!Array.isArray(slugs)) continue;
+    for (const target of slugs) {
+      if (target === slug) {
+        report(keyLine(raw, 'related'), 'error', `"related.${list}" lists the article itself`);
+      } else if (!articles.has(target)) {
+        report(keyLine(raw, 'related'), 'error', `"related.${list}" has no article with slug "${target}"`);
+      }
+    }
+  }
+  const { links, fences, unclosed } = articles.get(slug) || scanBody(parsed.content, bodyStart);
+
+  const { series, seriesOrder } = parsed.data;
+  if (series && seriesOrder === undefined) {
+    report(keyLine(raw, 'series'), 'error', `Article in series "${series}" needs a "seriesOrder"`);
+  } else if (!series && seriesOrder !== undefined) {
+    report(keyLine(raw, 'seriesOrder'), 'error', '"seriesOrder" is set without a "series"');
+  } else if (series) {
+    const clash = [...articles].find(([other, { frontmatter }]) =>
+      other !== slug && frontmatter.series === series && frontmatter.seriesOrder === seriesOrder
+    );
+    if (clash) {
+      report(keyLine(raw, 'seriesOrder'), 'error', `"${clash[0]}" is also part ${seriesOrder} of "${series}"`);
+    }
+  }
+
+  if (unclosed) {
+    report(unclosed.line, 'error', `Unclosed code fence ${unclosed.marker}${unclosed.lang}`);
+  }
+
+  fences.forEach(fence => checkFence(fence, report));
+
+  for (const { target, line } of links) {
+    const internal = target.match(/^(?:\/#)?\/blog\/([^/#?]+)\/?(?:#(.+))?$/);
+    const anchor = target.match(/^#(.+)$/);
+
+    if (internal) {
+      const [, targetSlug, hash] = internal;
+      const linked = articles.get(targetSlug);
+      if (!linked) {
+        report(line, 'error', `Broken link "${target}": no article with slug "${targetSlug}"`);
+      } else if (hash && !linked.headings.some(h => h.id === decodeURIComponent(hash))) {
+        report(line, 'error', `Broken link "${target}": "${targetSlug}" has no heading "#${hash}"`);
+      } else if (publishState(parsed.data) === 'published' && publishState(linked.frontmatter) !== 'published') {
+        report(line, 'warning', `Link "${target}" points to an unpublished article`);
+      }
+    } else if (anchor) {
+      const { headings } = articles.get(slug);
+      if (!headings.some(h => h.id === decodeURIComponent(anchor[1]))) {
+        report(line, 'error', `Broken anchor "${target}": no heading with that id`);
+      }
+    }
+  }
+}
+
+function main() {
+  const files = fs.readdirSync(BLOG_DIR)
+    .filter(f => f.endsWith('.md'))
+    .sort()
+    .map(f => path.join(BLOG_DIR, f));
+
+  // Scan every article first so cross-article links can be resolved
+  const sources = new Map();
+  const articles = new Map();
+  for (const file of files) {
+    const raw = fs.readFileSync(file, 'utf-8');
+    const slug = path.basename(file, '.md');
+    sources.set(file, raw);
+    try {
+      const { data, content } = matter(raw);
+      const bodyStart = raw.slice(0, raw.length - content.length).split('\n').length;
+      articles.set(slug, { ...scanBody(content, bodyStart), frontmatter: data });
+    } catch {
+      // Reported by lintArticle
+    }
+  }
+
+  const diagnostics = [];
+  for (const file of files) {
+    if (onlySlug && path.basename(file, '.md') !== onlySlug) continue;
+
+    const relative = path.relative(ROOT_DIR, file);
+    lintArticle(file, sources.get(file), articles, (line, level, message) => {
+      diagnostics.push({ file: relative, line, level, message });
+    });
+  }
+
+  diagnostics.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+
+  for (const { file, line, level, message } of diagnostics) {
+    const color = level === 'error' ? colors.red : colors.yellow;
+    console.log(`${file}:${line}  ${color}${level}${colors.reset}  ${message}`);
+  }
+
+  const errors = diagnostics.filter(d => d.level === 'error').length;
+  const warnings = diagnostics.length - errors;
+  const checked = onlySlug ? 1 : files.length;
+
+  if (errors) {
+    console.log(`\n${colors.red}✗${colors.reset} ${errors} error(s), ${warnings} warning(s) in ${checked} article(s)`);
+    process.exit(1);
+  }
+
+  console.log(`${colors.green}✓${colors.reset} ${checked} article(s) checked, ${warnings} warning(s)`);
+}
+
+main();
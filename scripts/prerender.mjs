@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Static Prerenderer
+ *
+ * Usage:
+ *   node scripts/prerender.mjs
+ *   npm run prerender
+ *
+ * Runs after `vite build` (postbuild). Writes a static page for every route
+ * crawlers and link unfurlers should see, instead of an empty <div id="app">:
+ *
+ *   /               dist/index.html
+ *   /resume         dist/resume.html
+ *   /photos         dist/photos.html
+ *   /blog/<slug>    dist/blog/<slug>.html    (every published article)
+ *   /project/<id>   dist/project/<id>.html   (featured projects)
+ *
+ * Each page is the built app shell (dist/404.html) with the route's head
+ * from src/content/head.mjs (title, meta, feed links, JSON-LD) and a plain
+ * HTML version of its content inside #app. The app mounts over it as usual
+ * and applies the same head. Other routes keep getting the bare shell.
+ *
+ * Hosts serve /blog/<slug> from blog/<slug>.html: GitHub Pages does it on
+ * its own, nginx.conf and server.js are set up for it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ROOT_DIR } from './lib/content.mjs';
+import { routeHead, articleHead, resumeHead, projectHead, metaTags, feedLinks, pageTitle, PAGE_META } from '../src/content/head.mjs';
+import { AUTHOR, SITE_DESCRIPTION, photoUrl } from '../src/content/site.mjs';
+import { categoryPath, tagPath } from '../src/content/taxonomy.mjs';
+
+const DIST_DIR = path.join(ROOT_DIR, 'dist');
+// The untouched app shell; index.html itself is overwritten with the home page
+const SHELL_PATH = path.join(DIST_DIR, '404.html');
+const PROJECTS_PATH = path.join(ROOT_DIR, 'src/data/projects.json');
+
+// ANSI colors
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  dim: '\x1b[2m',
+};
+
+const log = {
+  success: (msg) => console.log(`${colors.green}✓${colors.reset} ${msg}`),
+  error: (msg) => console.log(`${colors.red}✗${colors.reset} ${msg}`),
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// JSON-LD goes in a <script>, where only "</script" could end it early
+const jsonLd = (data) => JSON.stringify(data).replace(/</g, '\\u003c');
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+// 2026-02-08 -> February 8, 2026
+function displayDate(date) {
+  return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+// 2013-01 -> Jan 2013
+function displayMonth(month) {
+  if (!month) return 'Present';
+  const [year, number] = String(month).split('-');
+  if (!number) return year;
+  return new Date(Date.UTC(Number(year), Number(number) - 1)).toLocaleDateString('en-US', { year: 'numeric', month: 'short', timeZone: 'UTC' });
+}
+
+const list = (items, render) => (items.length ? `<ul>${items.map(item => `<li>${render(item)}</li>`).join('')}</ul>` : '');
+
+// Head tags in the order seo.js keeps them
+function headTags(head) {
+  return [
+    `<title>${escapeHtml(pageTitle(head.title))}</title>`,
+    ...metaTags(head).map(([attribute, name, content]) => `<meta ${attribute}="${name}" content="${escapeHtml(content)}">`),
+    `<link rel="canonical" href="${escapeHtml(head.url)}">`,
+    ...feedLinks(head.topics).map(({ type, title, href }) => `<link rel="alternate" type="${type}" title="${escapeHtml(title)}" href="${escapeHtml(href)}" data-feed>`),
+    ...head.structuredData.map(data => `<script type="application/ld+json">${jsonLd(data)}</script>`),
+  ].map(tag => `    ${tag}\n`).join('');
+}
+
+/**
+ * The shell with a route's head and content. The shell's own title, meta
+ * and feed links are replaced, and the <noscript> notice is dropped since
+ * the page reads fine without JavaScript.
+ */
+function renderPage(shell, head, content) {
+  const body = `<div class="prerendered"><nav><a href="/">${escapeHtml(AUTHOR.name)}</a><a href="/#blog">Blog</a><a href="/resume">Resume</a><a href="/photos">Photos</a></nav><main>${content}</main></div>`;
+  return shell
+    .replace(/ *<title>[^<]*<\/title>\n/, '')
+    .replace(/ *<meta (name="description"|property="(og|twitter):[^"]+") [^>]*>\n/g, '')
+    .replace(/ *<link rel="alternate" [^>]*data-feed>\n/g, '')
+    .replace(/ *<noscript>[\s\S]*?<\/noscript>\n/, '')
+    .replace(/\n( *)<\/head>/, `\n${headTags(head)}$1</head>`)
+    .replace('<div id="app"></div>', `<div id="app">${body}</div>`);
+}
+
+function articleLink(article) {
+  return `<a href="/blog/${article.slug}">${escapeHtml(article.title)}</a> <small>${displayDate(article.date)} · ${escapeHtml(article.readTime)}</small><p>${escapeHtml(article.excerpt)}</p>`;
+}
+
+function projectLink(project) {
+  return `<a href="/project/${project.id}">${escapeHtml(project.name)}</a>: ${escapeHtml(project.description)}`;
+}
+
+function homePage({ articles, projects }) {
+  return `<h1>${escapeHtml(AUTHOR.name)}</h1>`
+    + `<p>${escapeHtml(SITE_DESCRIPTION)}</p>`
+    + `<h2 id="projects">Projects</h2>${list(projects, projectLink)}`
+    + `<h2 id="blog">Articles</h2>${list(articles, articleLink)}`;
+}
+
+function articlePage(article, compiled) {
+  const tags = Array.isArray(article.tags) ? article.tags : [];
+  return `<article><h1>${escapeHtml(article.title)}</h1>`
+    + `<p><small><time datetime="${article.date}">${displayDate(article.date)}</time> · <a href="${categoryPath(article.category)}">${escapeHtml(article.category)}</a> · ${escapeHtml(article.readTime)}</small></p>`
+    + compiled.html
+    + (tags.length ? `<p>Tags: ${tags.map(tag => `<a href="${tagPath(tag)}">${escapeHtml(tag)}</a>`).join(', ')}</p>` : '')
+    + '</article>';
+}
+
+function projectPage(project) {
+  return `<h1>${escapeHtml(project.name)}</h1>`
+    + `<p>${escapeHtml(project.description)}</p>`
+    + `<p>${project.tech.map(escapeHtml).join(' · ')}</p>`
+    + `<h2>Highlights</h2>${list(project.highlights || [], escapeHtml)}`
+    + `<p><a href="${escapeHtml(project.url)}">Source on GitHub</a></p>`;
+}
+
+function resumePage(resume) {
+  const { basics } = resume;
+  const position = job => `<h3>${escapeHtml(job.position)}, ${escapeHtml(job.company)}</h3>`
+    + `<p><small>${displayMonth(job.startDate)} – ${displayMonth(job.endDate)}</small></p>`
+    + `<p>${escapeHtml(job.summary)}</p>${list(job.highlights || [], escapeHtml)}`;
+
+  return `<h1>${escapeHtml(basics.name)}</h1>`
+    + `<p>${escapeHtml(basics.title)} · ${escapeHtml(basics.location)}</p>`
+    + `<p>${escapeHtml(basics.summary)}</p>`
+    + list(basics.profiles, profile => `<a href="${escapeHtml(profile.url)}">${escapeHtml(profile.network)}</a>`)
+    + `<h2>Experience</h2>${resume.experience.map(position).join('')}`
+    + `<h2>Education</h2>${list(resume.education, school => `${escapeHtml(school.degree)}, ${escapeHtml(school.field)}: ${escapeHtml(school.institution)} (${escapeHtml(school.endDate)})`)}`
+    + `<h2>Skills</h2>${list(resume.skills, group => `${escapeHtml(group.category)}: ${group.items.map(skill => escapeHtml(skill.name)).join(', ')}`)}`
+    + `<h2>Certifications</h2>${list(resume.certifications, cert => `${escapeHtml(cert.name)}, ${escapeHtml(cert.issuer)} (${escapeHtml(cert.date)})`)}`;
+}
+
+function photosPage({ photos, categories }) {
+  const photo = item => `<figure><img src="${photoUrl(item.publicId, 'f_auto,q_auto,w_600,c_fill')}" alt="${escapeHtml(item.alt)}" loading="lazy"><figcaption>${escapeHtml(item.caption)}</figcaption></figure>`;
+
+  return `<h1>Photo Gallery</h1><p>${escapeHtml(PAGE_META.photos.description)}</p>`
+    + categories
+      .map(category => ({ category, items: photos.filter(item => item.category === category.id) }))
+      .filter(({ items }) => items.length)
+      .map(({ category, items }) => `<h2>${escapeHtml(category.name)}</h2><p>${escapeHtml(category.description)}</p>${items.map(photo).join('')}`)
+      .join('');
+}
+
+// dist/<route>.html, or dist/index.html for the home page
+function writePage(route, html) {
+  const file = route === '/' ? path.join(DIST_DIR, 'index.html') : path.join(DIST_DIR, `${route.slice(1)}.html`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, html);
+}
+
+function main() {
+  if (!fs.existsSync(SHELL_PATH)) {
+    log.error(`${path.relative(ROOT_DIR, SHELL_PATH)} not found, run \`vite build\` first`);
+    process.exit(1);
+  }
+
+  const shell = fs.readFileSync(SHELL_PATH, 'utf-8');
+  if (!shell.includes('<div id="app"></div>')) {
+    log.error(`${path.relative(ROOT_DIR, SHELL_PATH)} has no empty <div id="app"> to render into`);
+    process.exit(1);
+  }
+
+  const { articles } = readJson(path.join(DIST_DIR, 'content/blog/index.json'));
+  const projects = readJson(PROJECTS_PATH).projects.filter(project => project.featured);
+  const resume = readJson(path.join(DIST_DIR, 'data-sources/resume.json'));
+  const gallery = readJson(path.join(DIST_DIR, 'data-sources/photos.json'));
+  // Revision dates for dateModified (scripts/build-history.mjs)
+  const historyPath = path.join(DIST_DIR, 'content/blog/history.json');
+  const history = fs.existsSync(historyPath) ? readJson(historyPath).articles : {};
+
+  const pages = [
+    [PAGE_META.portfolio.path, routeHead(PAGE_META.portfolio), homePage({ articles, projects })],
+    [PAGE_META.resume.path, resumeHead(resume), resumePage(resume)],
+    [PAGE_META.photos.path, routeHead(PAGE_META.photos), photosPage(gallery)],
+    ...articles.map((article) => {
+      const compiled = readJson(path.join(DIST_DIR, `content/blog/compiled/${article.slug}.json`));
+      return [
+        `/blog/${article.slug}`,
+        articleHead(article, { wordCount: compiled.wordCount, updated: history[article.slug]?.updated }),
+        articlePage(article, compiled),
+      ];
+    }),
+    ...projects.map(project => [`/project/${project.id}`, projectHead(project), projectPage(project)]),
+  ];
+
+  pages.forEach(([route, head, content]) => writePage(route, renderPage(shell, head, content)));
+
+  log.success(`Prerendered ${pages.length} pages to ${path.relative(ROOT_DIR, DIST_DIR)}/ ${colors.dim}(${articles.length} articles, ${projects.length} projects)${colors.reset}`);
+}
+
+main();
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Scheduled Post Promoter
+ *
+ * Usage:
+ *   node scripts/publish-scheduled.mjs
+ *   node scripts/publish-scheduled.mjs --dry-run
+ *   npm run publish:scheduled
+ *
+ * Regenerates public/content/blog/index.json so posts whose publishAt has
+ * passed join the index, and reports which slugs were promoted. Run daily
+ * by .github/workflows/twitter-daily.yml, which commits the index, redeploys
+ * and triggers the social posts for each promoted slug. When GITHUB_OUTPUT
+ * is set the promoted slugs are written to it as `published`.
+ */
+
+import fs from 'fs';
+import { INDEX_PATH } from './lib/content.mjs';
+import { buildBlogIndex, writeBlogIndex } from './lib/blog-index.mjs';
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+
+// ANSI colors
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  blue: '\x1b[34m',
+  dim: '\x1b[2m',
+};
+
+const log = {
+  info: (msg) => console.log(`${colors.blue}ℹ${colors.reset} ${msg}`),
+  success: (msg) => console.log(`${colors.green}✓${colors.reset} ${msg}`),
+};
+
+function readIndexedSlugs() {
+  if (!fs.existsSync(INDEX_PATH)) return new Set();
+  const { articles } = JSON.parse(fs.readFileSync(INDEX_PATH, 'utf-8'));
+  return new Set(articles.map(a => a.slug));
+}
+
+function main() {
+  const before = readIndexedSlugs();
+  const { index, drafts } = buildBlogIndex();
+  const promoted = index.articles.filter(a => !before.has(a.slug)).map(a => a.slug);
+
+  const scheduled = drafts.articles.filter(a => a.status === 'scheduled');
+  for (const post of scheduled) {
+    log.info(`${post.slug} ${colors.dim}scheduled for ${post.publishAt}${colors.reset}`);
+  }
+
+  if (!promoted.length) {
+    log.info('No scheduled posts are due');
+  } else {
+    promoted.forEach(slug => log.success(`Publishing ${slug}`));
+  }
+
+  if (dryRun) {
+    log.info('Dry run, index.json not written');
+    return;
+  }
+
+  writeBlogIndex({ index, drafts });
+
+  if (process.env.GITHUB_OUTPUT) {
+    fs.appendFileSync(process.env.GITHUB_OUTPUT, `published=${promoted.join(' ')}\n`);
+  }
+}
+
+main();
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Medium Variant Sync
+ *
+ * Usage:
+ *   node scripts/sync-medium.mjs                 # regenerate every variant
+ *   node scripts/sync-medium.mjs --slug <slug>   # regenerate one
+ *   node scripts/sync-medium.mjs --check         # report only; exits 1 if out of date
+ *   npm run medium:sync
+ *
+ * Regenerates medium-articles/<slug>.md from public/content/blog/<slug>.md
+ * for every published article (see scripts/lib/medium.mjs for the
+ * transforms), and reports which variants were missing or stale. Variants
+ * with no published original are reported but left alone.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ROOT_DIR, BLOG_DIR, readArticle, readPublishedArticles } from './lib/content.mjs';
+import { MEDIUM_DIR, toMediumMarkdown } from './lib/medium.mjs';
+
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : null;
+};
+
+const slug = getArg('slug');
+const checkOnly = args.includes('--check');
+
+// ANSI colors
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  red: '\x1b[31m',
+  dim: '\x1b[2m',
+};
+
+const log = {
+  success: (msg) => console.log(`${colors.green}✓${colors.reset} ${msg}`),
+  warn: (msg) => console.log(`${colors.yellow}⚠${colors.reset} ${msg}`),
+  error: (msg) => console.log(`${colors.red}✗${colors.reset} ${msg}`),
+  dim: (msg) => console.log(`${colors.dim}${msg}${colors.reset}`),
+};
+
+const variantPath = (articleSlug) => path.join(MEDIUM_DIR, `${articleSlug}.md`);
+
+// 'missing', 'stale' or 'current' for an article's variant
+function variantState(articleSlug, markdown) {
+  const file = variantPath(articleSlug);
+  if (!fs.existsSync(file)) return 'missing';
+  return fs.readFileSync(file, 'utf-8') === markdown ? 'current' : 'stale';
+}
+
+function main() {
+  const published = readPublishedArticles();
+  let articles = published;
+  if (slug) {
+    if (!fs.existsSync(path.join(BLOG_DIR, `${slug}.md`))) {
+      log.error(`Article not found: ${slug}.md`);
+      process.exit(1);
+    }
+    articles = [readArticle(slug)];
+  }
+
+  const report = { missing: [], stale: [], current: [] };
+  fs.mkdirSync(MEDIUM_DIR, { recursive: true });
+
+  for (const article of articles) {
+    const markdown = toMediumMarkdown(article);
+    const state = variantState(article.slug, markdown);
+    report[state].push(article.slug);
+    if (state !== 'current' && !checkOnly) {
+      fs.writeFileSync(variantPath(article.slug), markdown);
+    }
+  }
+
+  const slugs = new Set(published.map(article => article.slug));
+  const orphans = slug ? [] : fs.readdirSync(MEDIUM_DIR)
+    .filter(file => file.endsWith('.md'))
+    .map(file => file.replace(/\.md$/, ''))
+    .filter(name => !slugs.has(name));
+
+  const verb = checkOnly ? '' : ' (regenerated)';
+  if (report.missing.length) {
+    log.warn(`${report.missing.length} missing${verb}:`);
+    report.missing.forEach(name => log.dim(`    ${name}`));
+  }
+  if (report.stale.length) {
+    log.warn(`${report.stale.length} stale${verb}:`);
+    report.stale.forEach(name => log.dim(`    ${name}`));
+  }
+  if (orphans.length) {
+    log.warn(`${orphans.length} with no published original in ${path.relative(ROOT_DIR, BLOG_DIR)}/:`);
+    orphans.forEach(name => log.dim(`    ${name}`));
+  }
+
+  const outOfDate = report.missing.length + report.stale.length;
+  const summary = `${articles.length} articles ${colors.dim}(${report.current.length} current, ${report.missing.length} missing, ${report.stale.length} stale)${colors.reset}`;
+  if (checkOnly && outOfDate) {
+    log.error(`Medium variants out of date: ${summary}. Run \`npm run medium:sync\``);
+    process.exit(1);
+  }
+  log.success(`${checkOnly ? 'Checked' : 'Synced'} ${path.relative(ROOT_DIR, MEDIUM_DIR)}/ for ${summary}`);
+}
+
+main();
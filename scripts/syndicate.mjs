@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+
+/**
+ * Syndication CLI
+ *
+ * Usage:
+ *   node scripts/syndicate.mjs <provider...|all> --slug <slug>
+ *   node scripts/syndicate.mjs twitter threads --slug <slug> --dry-run
+ *   node scripts/syndicate.mjs medium --slug <slug> --draft
+ *   node scripts/syndicate.mjs all --slug <slug> --mock
+ *   node scripts/syndicate.mjs twitter threads --slug <slug> --record
+ *   node scripts/syndicate.mjs twitter --slug <slug> --thread --dry-run
+ *   node scripts/syndicate.mjs twitter --daily-update
+ *   node scripts/syndicate.mjs --list
+ *   npm run syndicate -- <provider...> --slug <slug>
+ *
+ * Providers: medium, twitter, threads (scripts/lib/syndication/). Each one
+ * formats the article, validates the post against its limits and posts it.
+ * Posts are recorded in the ledger, content/syndication.json (commit it),
+ * and an article already posted to a provider is skipped there.
+ *
+ *   --dry-run       Preview each post without sending anything
+ *   --force         Post again where the ledger says it's been posted
+ *   --record        Mark the article as posted without posting (for posts
+ *                   made by hand or before the ledger)
+ *   --draft         Medium only: publish as a draft to review there first
+ *   --mock          Send to a local mock API (lib/syndication/mock-server.mjs)
+ *   --api <url>     Send every provider's requests to <url> instead
+ *                   (neither writes to the ledger)
+ *   --thread        Twitter only: the article as a 4–8 tweet thread, each tweet
+ *                   a reply to the one before (lib/syndication/thread.mjs). A
+ *                   thread that stopped partway is continued from its last tweet
+ *   --daily-update  Twitter only: the daily blog stats tweet instead of an article
+ *
+ * Credentials come from the environment (MEDIUM_TOKEN, TWITTER_API_KEY,
+ * TWITTER_API_SECRET, TWITTER_ACCESS_TOKEN, TWITTER_ACCESS_SECRET,
+ * THREADS_ACCESS_TOKEN, THREADS_USER_ID); a provider without them fails and
+ * the others still post. Drafts and scheduled articles are only previewed.
+ */
+
+import fs from 'fs';
+import { INDEX_PATH, readArticles, publishState } from './lib/content.mjs';
+import { PROVIDERS, loadArticle } from './lib/syndication/index.mjs';
+import { startMockServer } from './lib/syndication/mock-server.mjs';
+import { readLedger, writeLedger, findPost, recordPost, postedOn, articleHash } from './lib/syndication/ledger.mjs';
+
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : null;
+};
+
+const slug = getArg('slug');
+const apiUrl = getArg('api');
+const dryRun = args.includes('--dry-run');
+const draft = args.includes('--draft');
+const force = args.includes('--force');
+const record = args.includes('--record');
+const mock = args.includes('--mock');
+const thread = args.includes('--thread');
+const dailyUpdate = args.includes('--daily-update');
+const listAll = args.includes('--list');
+// Positional arguments, skipping option values
+const names = args.filter((arg, i) => !arg.startsWith('--') && !['--slug', '--api'].includes(args[i - 1]));
+
+// ANSI colors
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  red: '\x1b[31m',
+  dim: '\x1b[2m',
+  bold: '\x1b[1m',
+};
+
+const log = {
+  info: (msg) => console.log(`${colors.blue}ℹ${colors.reset} ${msg}`),
+  success: (msg) => console.log(`${colors.green}✓${colors.reset} ${msg}`),
+  warn: (msg) => console.log(`${colors.yellow}⚠${colors.reset} ${msg}`),
+  error: (msg) => console.log(`${colors.red}✗${colors.reset} ${msg}`),
+  dim: (msg) => console.log(`${colors.dim}${msg}${colors.reset}`),
+};
+
+function usage() {
+  console.log(`\n  Usage:`);
+  console.log(`    node scripts/syndicate.mjs <${Object.keys(PROVIDERS).join('|')}...|all> --slug <article-slug>`);
+  console.log(`    node scripts/syndicate.mjs twitter --slug <article-slug> --thread`);
+  console.log(`    node scripts/syndicate.mjs twitter --daily-update`);
+  console.log(`    node scripts/syndicate.mjs --list`);
+  console.log(`    Add --dry-run to preview without posting, --mock to post to a local mock API,`);
+  console.log(`    --force to post an article the ledger says was already posted\n`);
+}
+
+function listArticles() {
+  console.log(`\n${colors.bold}Articles:${colors.reset}\n`);
+  readArticles().forEach(({ slug: articleSlug, frontmatter }) => {
+    const state = publishState(frontmatter);
+    console.log(`  ${colors.green}${articleSlug}${colors.reset}${state === 'published' ? '' : ` ${colors.yellow}(${state})${colors.reset}`}`);
+    console.log(`  ${colors.dim}├─ ${frontmatter.title || 'Untitled'}${colors.reset}`);
+    console.log(`  ${colors.dim}└─ ${frontmatter.date || 'No date'}${colors.reset}\n`);
+  });
+}
+
+// A text post in a box with its length as the provider counts it
+function previewText(adapter, text) {
+  const measure = adapter.measure || (value => value.length);
+  console.log(`${colors.dim}┌${'─'.repeat(50)}┐${colors.reset}`);
+  text.split('\n').forEach(line => {
+    console.log(`${colors.dim}│${colors.reset} ${line.padEnd(48)} ${colors.dim}│${colors.reset}`);
+  });
+  console.log(`${colors.dim}└${'─'.repeat(50)}┘${colors.reset}`);
+  log.dim(`  ${measure(text)}/${adapter.limits.text} characters`);
+}
+
+// Text posts and threads boxed; other fields as "key: value"
+function preview(adapter, post) {
+  console.log(`\n${colors.bold}${adapter.label}${post.thread ? `, a thread of ${post.thread.length}` : ''}${colors.reset}`);
+  if (post.text) previewText(adapter, post.text);
+  post.thread?.forEach(text => previewText(adapter, text));
+  if (post.title) log.info(`Title: ${post.title}`);
+  if (post.tags) log.info(`Tags: ${post.tags.join(', ')}`);
+  if (post.canonicalUrl) log.info(`Canonical: ${post.canonicalUrl}`);
+  if (post.content) log.info(`Content: ${post.content.length} characters of HTML${post.draft ? ', as a draft' : ''}`);
+  if (post.image) log.info(`Image: ${post.image}`);
+}
+
+// { key: value } from the adapter's { key: ENV_VAR }, or the missing variables
+function readCredentials(adapter) {
+  const credentials = {};
+  const missing = [];
+  for (const [key, variable] of Object.entries(adapter.credentials)) {
+    credentials[key] = process.env[variable] || (mock ? 'mock' : null);
+    if (!credentials[key]) missing.push(variable);
+  }
+  return { credentials, missing };
+}
+
+function resolveProviders() {
+  if (names.includes('all')) return Object.values(PROVIDERS);
+  const unknown = names.filter(name => !PROVIDERS[name]);
+  if (unknown.length) {
+    log.error(`Unknown provider: ${unknown.join(', ')} (known: ${Object.keys(PROVIDERS).join(', ')}, all)`);
+    process.exit(1);
+  }
+  return names.map(name => PROVIDERS[name]);
+}
+
+// The article to post, checked that it may be posted
+function loadPublishable() {
+  const article = loadArticle(slug);
+  if (!article) {
+    log.error(`Article not found: ${slug}.md`);
+    process.exit(1);
+  }
+  if (article.state !== 'published' && !dryRun) {
+    log.error(`${slug} is ${article.state === 'draft' ? 'a draft' : `scheduled for ${article.publishAt}`}, not posting`);
+    process.exit(1);
+  }
+  log.info(`Article: ${article.title}`);
+  return article;
+}
+
+// Exits unless every adapter has the formatter an option needs
+function requireFormatter(adapters, option, formatter) {
+  const unsupported = adapters.filter(adapter => !adapter[formatter]);
+  if (unsupported.length) {
+    log.error(`${option} is not supported by ${unsupported.map(adapter => adapter.label).join(', ')}`);
+    process.exit(1);
+  }
+}
+
+// The post for each adapter: an article's, its thread, or the daily update
+function formatPosts(adapters, article) {
+  if (dailyUpdate) {
+    requireFormatter(adapters, '--daily-update', 'formatDailyUpdate');
+    const { articles } = JSON.parse(fs.readFileSync(INDEX_PATH, 'utf-8'));
+    return adapters.map(adapter => [adapter, adapter.formatDailyUpdate(articles)]);
+  }
+
+  if (thread) {
+    requireFormatter(adapters, '--thread', 'formatThread');
+    return adapters.map(adapter => [adapter, adapter.formatThread(article)]);
+  }
+
+  return adapters.map((adapter) => {
+    const post = adapter.format(article);
+    if (draft && 'draft' in post) post.draft = true;
+    return [adapter, post];
+  });
+}
+
+// Adapters the ledger says already have the article, unless --force. A
+// thread that stopped partway is continued instead, if the article hasn't
+// changed since
+function alreadyPosted(ledger, adapter, post, hash) {
+  const previous = findPost(ledger, slug, adapter.name);
+  if (!previous || force) return false;
+  if (previous.partial) {
+    const stopped = `${adapter.label}: thread stopped after tweet ${previous.thread.length} (${previous.url})`;
+    if (post.thread && previous.hash === hash) {
+      log.info(`${stopped}, continuing it`);
+      post.resume = previous.thread;
+      return false;
+    }
+    log.warn(`${stopped}, skipping ${colors.dim}(${post.thread ? 'the article has changed since, ' : '--thread to continue it, '}--force to post again)${colors.reset}`);
+    return true;
+  }
+  log.info(`${adapter.label}: ${previous.recorded ? 'recorded as posted' : `posted ${postedOn(previous)}`}${previous.url ? ` (${previous.url})` : ''}, skipping ${colors.dim}(--force to post again)${colors.reset}`);
+  return true;
+}
+
+async function send(adapter, post, baseUrl) {
+  const { credentials, missing } = readCredentials(adapter);
+  if (missing.length) {
+    log.error(`${adapter.label} credentials not found, set ${missing.join(', ')}`);
+    process.exitCode = 1;
+    return null;
+  }
+
+  const context = {
+    credentials,
+    endpoint: (host, path) => `${baseUrl || adapter.hosts[host]}${path}`,
+    // Nothing to wait for at a mock
+    sleep: (ms) => new Promise(resolve => setTimeout(resolve, mock ? 0 : ms)),
+    log,
+  };
+
+  try {
+    log.info(`Posting to ${adapter.label}...`);
+    const result = await adapter.post(post, context);
+    log.success(`${adapter.label}: ${result.url}`);
+    return result;
+  } catch (error) {
+    log.error(`${adapter.label}: ${error.message}`);
+    process.exitCode = 1;
+    // Whatever went out before the failure, to record
+    return error.posted || null;
+  }
+}
+
+async function main() {
+  if (listAll) {
+    listArticles();
+    return;
+  }
+
+  if (!names.length || (!slug && !dailyUpdate)) {
+    log.error(names.length ? 'No article slug provided' : 'No provider given');
+    usage();
+    process.exit(1);
+  }
+
+  const adapters = resolveProviders();
+  const article = dailyUpdate ? null : loadPublishable();
+  // The daily update isn't an article, so it isn't in the ledger
+  const ledger = article ? readLedger() : null;
+  const hash = article ? articleHash(article) : null;
+
+  const ready = formatPosts(adapters, article).filter(([adapter, post]) => {
+    preview(adapter, post);
+    if (ledger && alreadyPosted(ledger, adapter, post, hash)) return false;
+    const problems = adapter.validate(post);
+    problems.forEach(problem => log.error(`${adapter.label}: ${problem}`));
+    if (problems.length) process.exitCode = 1;
+    return !problems.length;
+  });
+  console.log('');
+
+  if (dryRun) {
+    log.warn('Dry run mode - nothing posted');
+    return;
+  }
+
+  if (record) {
+    if (!ledger) {
+      log.error('--record needs an article (--slug)');
+      process.exit(1);
+    }
+    ready.forEach(([adapter]) => recordPost(ledger, slug, adapter.name, { hash, recorded: true }));
+    writeLedger(ledger);
+    log.success(`Recorded ${slug} as posted to ${ready.map(([adapter]) => adapter.label).join(', ') || 'nothing new'}`);
+    return;
+  }
+
+  if (!ready.length) {
+    log.info('Nothing to post');
+    return;
+  }
+
+  const server = mock ? await startMockServer() : null;
+  if (server) log.info(`Mock API at ${server.url}`);
+  // Posts to a mock or another --api server aren't real
+  const recording = ledger && !server && !apiUrl;
+
+  try {
+    for (const [adapter, post] of ready) {
+      const result = await send(adapter, post, server?.url || apiUrl);
+      if (result && recording) {
+        // Written after each post, so a later failure can't lose it
+        recordPost(ledger, slug, adapter.name, { ...result, hash });
+        writeLedger(ledger);
+      }
+    }
+  } finally {
+    if (server) {
+      log.dim(`  Mock API received ${server.requests.length} requests: ${server.requests.map(({ method, path }) => `${method} ${path}`).join(', ')}`);
+      await server.close();
+    }
+  }
+}
+
+main().catch(err => {
+  log.error(err.message);
+  process.exit(1);
+});
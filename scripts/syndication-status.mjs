@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/**
+ * Syndication Status
+ *
+ * Usage:
+ *   node scripts/syndication-status.mjs
+ *   node scripts/syndication-status.mjs --pending   # only articles with something to post or check
+ *   npm run syndication:status
+ *
+ * Lists every published article with where it has been posted, from the
+ * ledger (content/syndication.json, see scripts/lib/syndication/ledger.mjs):
+ *
+ *   ✓ 2026-02-08   posted
+ *   ~ 2026-02-08   posted, and the article has changed since
+ *   ! 2026-02-08   a thread that stopped partway (syndicate --thread continues it)
+ *   ✓ recorded     marked as posted with `syndicate --record`, not posted by it
+ *   ·              pending
+ *
+ * --pending lists the articles pending somewhere, partial threads, and the
+ * recorded ones since nothing confirms those were posted.
+ *
+ * Ledger entries for articles that are no longer published are listed at
+ * the end.
+ */
+
+import path from 'path';
+import { ROOT_DIR, readPublishedArticles, toIndexEntry, sortByDate } from './lib/content.mjs';
+import { PROVIDERS } from './lib/syndication/index.mjs';
+import { LEDGER_PATH, readLedger, findPost, postedOn, articleHash } from './lib/syndication/ledger.mjs';
+
+const pendingOnly = process.argv.includes('--pending');
+
+// ANSI colors
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  dim: '\x1b[2m',
+  bold: '\x1b[1m',
+};
+
+const log = {
+  warn: (msg) => console.log(`${colors.yellow}⚠${colors.reset} ${msg}`),
+};
+
+const COLUMN = 14;
+const providers = Object.values(PROVIDERS);
+
+function cell(post, hash) {
+  if (!post) return `${colors.dim}${'·'.padEnd(COLUMN)}${colors.reset}`;
+  const mark = post.partial ? '!' : post.hash === hash ? '✓' : '~';
+  const text = `${mark} ${postedOn(post)}`.padEnd(COLUMN);
+  if (post.recorded) return `${colors.dim}${text}${colors.reset}`;
+  return `${mark === '✓' ? colors.green : colors.yellow}${text}${colors.reset}`;
+}
+
+function main() {
+  const ledger = readLedger();
+  const articles = sortByDate(readPublishedArticles().map((article) => {
+    const entry = toIndexEntry(article);
+    return { ...entry, hash: articleHash({ ...entry, body: article.body }) };
+  }));
+
+  const rows = articles.map(article => ({
+    article,
+    posts: providers.map(adapter => findPost(ledger, article.slug, adapter.name)),
+  }));
+  const shown = pendingOnly ? rows.filter(({ posts }) => posts.some(post => !post || post.recorded || post.partial)) : rows;
+  const width = Math.max(...articles.map(article => article.slug.length), 4) + 2;
+
+  console.log(`\n${colors.bold}${'Slug'.padEnd(width)}${providers.map(adapter => adapter.label.padEnd(COLUMN)).join('')}${colors.reset}`);
+  shown.forEach(({ article, posts }) => {
+    console.log(`${article.slug.padEnd(width)}${posts.map(post => cell(post, article.hash)).join('')}`);
+  });
+
+  const count = (test) => providers.map((adapter, i) => `${rows.filter(({ posts }) => test(posts[i])).length} ${adapter.label}`).join(', ');
+  console.log(`\n${colors.dim}${articles.length} published articles; pending: ${count(post => !post)}; recorded: ${count(post => post?.recorded)} (${path.relative(ROOT_DIR, LEDGER_PATH)})${colors.reset}`);
+
+  const published = new Set(articles.map(article => article.slug));
+  const orphans = Object.keys(ledger.articles).filter(slug => !published.has(slug));
+  if (orphans.length) {
+    log.warn(`In the ledger but not published: ${orphans.join(', ')}`);
+  }
+}
+
+main();
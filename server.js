@@ -3,12 +3,19 @@ const path = require('path');
 const app = express();
 const port = process.env.PORT || 3000;
 
-// Serve static files from the dist directory
-app.use(express.static(path.join(__dirname, 'dist')));
+// Serve static files from the dist directory. Prerendered routes are
+// <route>.html files (/blog/slug -> blog/slug.html, see scripts/prerender.mjs).
+app.use(express.static(path.join(__dirname, 'dist'), { extensions: ['html'] }));
 
-// Handle SPA routing - serve index.html for all routes
+// Handle SPA routing - serve the app shell (404.html, the unrendered
+// index.html) for other app routes (/blog/tag/rust, /search).
+// Missing files (anything with an extension) get a real 404 instead of HTML.
 app.get('*', (req, res) => {
-  res.sendFile(path.join(__dirname, 'dist', 'index.html'));
+  if (path.extname(req.path)) {
+    res.sendStatus(404);
+    return;
+  }
+  res.sendFile(path.join(__dirname, 'dist', '404.html'));
 });
 
 app.listen(port, '0.0.0.0', () => {
@@ -2,4 +2,6 @@ export const darkModeKey = "darkMode";
 
 export const styleKey = "style";
 
+export const readingProgressKey = "readingProgress";
+
 export const containerMaxW = "xl:max-w-6xl xl:mx-auto";
@@ -0,0 +1,85 @@
+/**
+ * Code Fence Metadata
+ *
+ * Parses the info string of a fenced code block and splits highlighted
+ * code into lines, for the code renderer in markdown.mjs:
+ *
+ *   ```rust title="src/main.rs" {3,7-9} showLineNumbers
+ *   ```js diff          (lines keep their +/- markers, highlighted as js)
+ *   ```diff             (a plain unified diff)
+ *
+ * Keep this file free of DOM and Node APIs.
+ */
+
+/**
+ * Parse "1,3-5" into a Set of line numbers (1-based)
+ */
+function parseLineRanges(spec) {
+  const lines = new Set();
+  spec.split(',').forEach((part) => {
+    const [start, end = start] = part.trim().split('-').map(n => parseInt(n, 10));
+    if (!Number.isInteger(start) || !Number.isInteger(end)) return;
+    for (let line = Math.max(start, 1); line <= end; line++) lines.add(line);
+  });
+  return lines;
+}
+
+/**
+ * Parse a fence info string.
+ * Returns { language, title, highlight, showLineNumbers, diff }.
+ */
+export function parseFenceInfo(info = '') {
+  const [, language = '', rest = ''] = /^([^\s{]*)\s*([\s\S]*)$/.exec(info.trim()) || [];
+
+  const titleMatch = /\btitle=(?:"([^"]*)"|'([^']*)'|(\S+))/.exec(rest);
+  const flags = titleMatch ? rest.replace(titleMatch[0], '') : rest;
+  const rangeMatch = /\{([\d,\s-]+)\}/.exec(flags);
+
+  return {
+    language: language.toLowerCase(),
+    title: titleMatch ? (titleMatch[1] ?? titleMatch[2] ?? titleMatch[3]) : null,
+    highlight: rangeMatch ? parseLineRanges(rangeMatch[1]) : new Set(),
+    showLineNumbers: /\bshowLineNumbers\b/.test(flags),
+    diff: language.toLowerCase() === 'diff' || /(^|\s)diff(\s|$)/.test(flags),
+  };
+}
+
+/**
+ * Split highlight.js HTML into one string per line. Spans that cross a line
+ * break (block comments, template strings) are closed at the end of the line
+ * and reopened on the next, so every line is balanced markup.
+ */
+export function splitHighlightedLines(html) {
+  const lines = [];
+  const open = [];
+  let current = '';
+
+  html.split(/(<span[^>]*>|<\/span>|\n)/).forEach((part) => {
+    if (part === '\n') {
+      lines.push(current + '</span>'.repeat(open.length));
+      current = open.join('');
+    } else if (part.startsWith('<span')) {
+      open.push(part);
+      current += part;
+    } else if (part === '</span>') {
+      open.pop();
+      current += part;
+    } else {
+      current += part;
+    }
+  });
+  lines.push(current);
+
+  return lines;
+}
+
+/**
+ * The +/- marker of each diff line: 'added', 'removed', 'hunk' (@@), or null
+ */
+export function diffLineType(line) {
+  if (line.startsWith('@@')) return 'hunk';
+  if (line.startsWith('+++') || line.startsWith('---')) return null;
+  if (line.startsWith('+')) return 'added';
+  if (line.startsWith('-')) return 'removed';
+  return null;
+}
@@ -0,0 +1,34 @@
+/**
+ * Embed Hosts
+ *
+ * Where iframes and asciinema recordings in articles may load from. Used by
+ * sanitize.mjs, the content linter and BlogArticleView (which checks again
+ * before creating a player). Keep this file free of DOM and Node APIs.
+ */
+
+/**
+ * Hosts that iframes and asciinema recordings may load from. Recordings
+ * can also be site paths (/casts/demo.cast).
+ */
+export const EMBED_HOSTS = [
+  'asciinema.org',
+  'www.youtube-nocookie.com',
+  'www.youtube.com',
+  'player.vimeo.com',
+  'codepen.io',
+];
+
+/**
+ * Whether a recording or iframe URL is a site path or an https URL on an
+ * allowed host
+ */
+export function isEmbedAllowed(src) {
+  const value = String(src || '').trim();
+  if (/^\/(?![/\\])/.test(value)) return true;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' && EMBED_HOSTS.includes(url.hostname);
+  } catch {
+    return false;
+  }
+}
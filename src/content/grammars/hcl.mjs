@@ -0,0 +1,68 @@
+/**
+ * highlight.js grammar for HCL / Terraform (highlight.js doesn't ship one).
+ * Loaded on demand by ../highlight.mjs.
+ */
+
+export default function hcl(hljs) {
+  const INTERPOLATION = {
+    className: 'subst',
+    begin: /\$\{/,
+    end: /\}/,
+    keywords: { literal: 'true false null' },
+  };
+
+  const STRING = {
+    className: 'string',
+    variants: [
+      {
+        begin: /"/,
+        end: /"/,
+        contains: [hljs.BACKSLASH_ESCAPE, INTERPOLATION],
+      },
+      {
+        // <<EOF ... EOF and <<-EOF heredocs
+        begin: /<<-?\s*(\w+)$/,
+        end: /^\s*(\w+)$/,
+        'on:begin': (match, resp) => { resp.data.tag = match[1]; },
+        'on:end': (match, resp) => { if (resp.data.tag !== match[1]) resp.ignoreMatch(); },
+        contains: [INTERPOLATION],
+      },
+    ],
+  };
+
+  return {
+    name: 'HCL',
+    aliases: ['terraform', 'tf'],
+    keywords: {
+      keyword: [
+        'resource', 'data', 'variable', 'output', 'module', 'provider', 'locals', 'terraform',
+        'backend', 'required_providers', 'dynamic', 'content', 'for_each', 'count', 'depends_on',
+        'lifecycle', 'for', 'in', 'if',
+      ],
+      literal: ['true', 'false', 'null'],
+    },
+    contains: [
+      hljs.HASH_COMMENT_MODE,
+      hljs.C_LINE_COMMENT_MODE,
+      hljs.C_BLOCK_COMMENT_MODE,
+      STRING,
+      {
+        className: 'number',
+        begin: /\b\d+(\.\d+)?([eE][+-]?\d+)?\b/,
+        relevance: 0,
+      },
+      {
+        // name = value
+        className: 'attr',
+        begin: /\b[\w-]+(?=\s*=(?!=))/,
+        relevance: 0,
+      },
+      {
+        // built-in functions: lookup(...), jsonencode(...)
+        className: 'built_in',
+        begin: /\b[a-z][\w]*(?=\()/,
+        relevance: 0,
+      },
+    ],
+  };
+}
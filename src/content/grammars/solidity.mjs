@@ -0,0 +1,65 @@
+/**
+ * highlight.js grammar for Solidity (highlight.js doesn't ship one).
+ * Loaded on demand by ../highlight.mjs.
+ */
+
+const SIZES = Array.from({ length: 32 }, (_, i) => (i + 1) * 8);
+
+const TYPES = [
+  'address', 'bool', 'string', 'bytes', 'byte', 'int', 'uint', 'fixed', 'ufixed', 'mapping',
+  ...SIZES.map(size => `int${size}`),
+  ...SIZES.map(size => `uint${size}`),
+  ...SIZES.map((_, i) => `bytes${i + 1}`),
+];
+
+export default function solidity(hljs) {
+  return {
+    name: 'Solidity',
+    aliases: ['sol'],
+    keywords: {
+      keyword: [
+        'pragma', 'import', 'as', 'from', 'contract', 'interface', 'library', 'abstract', 'is',
+        'function', 'modifier', 'event', 'error', 'struct', 'enum', 'using', 'for', 'if', 'else',
+        'while', 'do', 'break', 'continue', 'return', 'returns', 'emit', 'revert', 'try', 'catch',
+        'new', 'delete', 'public', 'private', 'internal', 'external', 'pure', 'view', 'payable',
+        'constant', 'immutable', 'virtual', 'override', 'memory', 'storage', 'calldata', 'indexed',
+        'anonymous', 'unchecked', 'assembly', 'constructor', 'fallback', 'receive', 'type',
+      ],
+      type: TYPES,
+      literal: ['true', 'false', 'wei', 'gwei', 'ether', 'seconds', 'minutes', 'hours', 'days', 'weeks'],
+      built_in: [
+        'msg', 'block', 'tx', 'abi', 'this', 'super', 'require', 'assert', 'keccak256', 'sha256',
+        'ripemd160', 'ecrecover', 'addmod', 'mulmod', 'selfdestruct', 'gasleft', 'blockhash',
+      ],
+    },
+    contains: [
+      hljs.C_LINE_COMMENT_MODE,
+      hljs.C_BLOCK_COMMENT_MODE,
+      hljs.APOS_STRING_MODE,
+      hljs.QUOTE_STRING_MODE,
+      {
+        className: 'meta',
+        begin: /\bpragma\b/,
+        end: /;/,
+        keywords: 'pragma solidity experimental abicoder',
+      },
+      {
+        className: 'number',
+        variants: [
+          { begin: /\b0x[0-9a-fA-F_]+\b/ },
+          { begin: /\b\d[\d_]*(\.\d[\d_]*)?([eE]-?\d+)?\b/ },
+        ],
+        relevance: 0,
+      },
+      {
+        // contract Foo is Bar, interface IFoo, library Math, struct Position ...
+        match: [/\b(?:contract|interface|library|struct|enum|event|error|modifier)\s+/, hljs.UNDERSCORE_IDENT_RE],
+        scope: { 2: 'title.class' },
+      },
+      {
+        match: [/\bfunction\s+/, hljs.UNDERSCORE_IDENT_RE],
+        scope: { 2: 'title.function' },
+      },
+    ],
+  };
+}
@@ -0,0 +1,184 @@
+/**
+ * Page Heads
+ *
+ * Title, meta tags, feed links and JSON-LD for each route. seo.js applies
+ * them as the app navigates and scripts/prerender.mjs writes them into the
+ * static HTML, so a page's head is the same before and after the app takes
+ * over. Keep this file free of DOM and Node APIs.
+ */
+
+import {
+  SITE_TITLE, SITE_DESCRIPTION, BLOG_TITLE, AUTHOR, FEED_FORMATS,
+  feedPath, routeUrl, assetUrl, ogImageUrl,
+} from './site.mjs';
+import {
+  personData, breadcrumbList, blogPosting, articleBreadcrumbs, profilePage, softwareSourceCode,
+} from './structured-data.mjs';
+
+export const DEFAULT_IMAGE = assetUrl('/assets/images/github-header-image-pm.png');
+
+const KEYWORDS = [
+  'Punit Mishra',
+  'Software Engineer',
+  'Full Stack Developer',
+  'AI/ML Infrastructure',
+  'Systems Architect',
+  'Vue.js',
+  'React',
+  'Python',
+  'Rust',
+  'LangGraph',
+  'Portfolio',
+  'SAP',
+  'Enterprise Software',
+].join(', ');
+
+// Routes with fixed content, by route name. router/index.js takes their
+// paths and meta from here; the prerender and the sitemap list them.
+export const PAGE_META = {
+  portfolio: {
+    path: '/',
+    title: 'Punit Mishra - Portfolio',
+    description: SITE_DESCRIPTION,
+  },
+  photos: {
+    path: '/photos',
+    title: 'Photo Gallery - Punit Mishra',
+    description: 'Photo gallery featuring professional photos, project screenshots, and personal moments.',
+  },
+  resume: {
+    path: '/resume',
+    title: 'Resume - Punit Mishra',
+    description: 'Interactive resume and CV of Punit Mishra, Full Stack Software Engineer.',
+  },
+};
+
+/**
+ * Document title for a page title (the site title alone when there's none)
+ */
+export function pageTitle(title) {
+  return title ? `${title} | ${SITE_TITLE}` : SITE_TITLE;
+}
+
+/**
+ * Head for a route:
+ *
+ *   { title, description, url, image, type, topics, structuredData }
+ *
+ * topics are the page's { kind, term } feeds (see feedLinks).
+ */
+export function routeHead({ title = null, description = SITE_DESCRIPTION, path = '/', image = DEFAULT_IMAGE } = {}) {
+  return {
+    title,
+    description,
+    url: routeUrl(path),
+    image,
+    type: 'website',
+    topics: [],
+    structuredData: [personData(image)],
+  };
+}
+
+/**
+ * Head for an article, from its blog index entry. Its image is the
+ * article's Open Graph card. Pass the compiled article's wordCount and the
+ * history.json `updated` date once they're loaded.
+ */
+export function articleHead(article, { wordCount = null, updated = null } = {}) {
+  const head = routeHead({
+    title: article.title,
+    description: article.excerpt,
+    path: `/blog/${article.slug}`,
+    image: ogImageUrl(article.slug),
+  });
+  const tags = Array.isArray(article.tags) ? article.tags : [];
+
+  return {
+    ...head,
+    type: 'article',
+    topics: [
+      { kind: 'category', term: article.category },
+      ...tags.map(term => ({ kind: 'tag', term })),
+    ].filter(topic => topic.term),
+    structuredData: [
+      blogPosting(article, { url: head.url, image: head.image, wordCount, updated }),
+      articleBreadcrumbs(article),
+    ],
+  };
+}
+
+/**
+ * Head for /resume, from resume.json
+ */
+export function resumeHead(resume) {
+  const head = routeHead(PAGE_META.resume);
+  return {
+    ...head,
+    type: 'profile',
+    structuredData: [
+      profilePage(resume, { url: head.url, image: head.image }),
+      breadcrumbList([{ name: 'Resume', path: '/resume' }]),
+    ],
+  };
+}
+
+/**
+ * Head for a project, from its entry in src/data/projects.json
+ */
+export function projectHead(project) {
+  const path = `/project/${project.id}`;
+  const head = routeHead({ title: project.name, description: project.description, path });
+  return {
+    ...head,
+    structuredData: [
+      softwareSourceCode(project, { url: head.url }),
+      breadcrumbList([{ name: project.name, path }]),
+    ],
+  };
+}
+
+/**
+ * Meta tags for a head, as [attribute, name, content]
+ */
+export function metaTags(head) {
+  const title = head.title || SITE_TITLE;
+  return [
+    ['name', 'description', head.description],
+    ['name', 'keywords', KEYWORDS],
+    ['name', 'author', AUTHOR.name],
+    ['property', 'og:title', title],
+    ['property', 'og:description', head.description],
+    ['property', 'og:image', head.image],
+    ['property', 'og:url', head.url],
+    ['property', 'og:type', head.type],
+    ['property', 'og:site_name', SITE_TITLE],
+    ['property', 'twitter:card', 'summary_large_image'],
+    ['property', 'twitter:title', title],
+    ['property', 'twitter:description', head.description],
+    ['property', 'twitter:image', head.image],
+  ];
+}
+
+/**
+ * Feed discovery links (<link rel="alternate">) as { type, title, href }.
+ * The site-wide feeds are always listed in every format; { kind, term }
+ * topics add a page's category and tag feeds, as RSS only to keep the head
+ * short.
+ */
+export function feedLinks(topics = []) {
+  const links = Object.entries(FEED_FORMATS).map(([format, { type, label }]) => ({
+    type,
+    title: `${BLOG_TITLE} (${label})`,
+    href: feedPath(format),
+  }));
+
+  topics.forEach(({ kind, term }) => {
+    links.push({
+      type: FEED_FORMATS.rss.type,
+      title: `${BLOG_TITLE}: ${term} (${FEED_FORMATS.rss.label})`,
+      href: feedPath('rss', { kind, term }),
+    });
+  });
+
+  return links;
+}
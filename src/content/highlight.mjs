@@ -0,0 +1,146 @@
+/**
+ * Code Highlighting Languages
+ *
+ * The highlight.js core instance used by markdown.mjs, and a loader that
+ * registers only the grammars an article uses. Grammars are dynamic imports,
+ * so the site fetches each one on first use and the build scripts load them
+ * the same way:
+ *
+ *   await loadLanguages(markdown);
+ *   renderMarkdown(markdown);
+ *
+ * Fences in a language we have no grammar for render as plain text. Keep
+ * this file free of DOM and Node APIs.
+ */
+
+import hljs from 'highlight.js/lib/core';
+
+// One loader per grammar. Literal import() calls so Vite can split each
+// grammar into its own chunk.
+const GRAMMARS = {
+  bash: () => import('highlight.js/lib/languages/bash'),
+  c: () => import('highlight.js/lib/languages/c'),
+  cpp: () => import('highlight.js/lib/languages/cpp'),
+  csharp: () => import('highlight.js/lib/languages/csharp'),
+  css: () => import('highlight.js/lib/languages/css'),
+  dockerfile: () => import('highlight.js/lib/languages/dockerfile'),
+  go: () => import('highlight.js/lib/languages/go'),
+  graphql: () => import('highlight.js/lib/languages/graphql'),
+  hcl: () => import('./grammars/hcl.mjs'),
+  http: () => import('highlight.js/lib/languages/http'),
+  ini: () => import('highlight.js/lib/languages/ini'),
+  java: () => import('highlight.js/lib/languages/java'),
+  javascript: () => import('highlight.js/lib/languages/javascript'),
+  json: () => import('highlight.js/lib/languages/json'),
+  kotlin: () => import('highlight.js/lib/languages/kotlin'),
+  lua: () => import('highlight.js/lib/languages/lua'),
+  makefile: () => import('highlight.js/lib/languages/makefile'),
+  markdown: () => import('highlight.js/lib/languages/markdown'),
+  nginx: () => import('highlight.js/lib/languages/nginx'),
+  protobuf: () => import('highlight.js/lib/languages/protobuf'),
+  python: () => import('highlight.js/lib/languages/python'),
+  ruby: () => import('highlight.js/lib/languages/ruby'),
+  rust: () => import('highlight.js/lib/languages/rust'),
+  scss: () => import('highlight.js/lib/languages/scss'),
+  solidity: () => import('./grammars/solidity.mjs'),
+  sql: () => import('highlight.js/lib/languages/sql'),
+  swift: () => import('highlight.js/lib/languages/swift'),
+  typescript: () => import('highlight.js/lib/languages/typescript'),
+  xml: () => import('highlight.js/lib/languages/xml'),
+  yaml: () => import('highlight.js/lib/languages/yaml'),
+};
+
+// Fence names that aren't grammar ids
+const ALIASES = {
+  'c#': 'csharp',
+  'c++': 'cpp',
+  cc: 'cpp',
+  cjs: 'javascript',
+  cs: 'csharp',
+  cxx: 'cpp',
+  docker: 'dockerfile',
+  golang: 'go',
+  gql: 'graphql',
+  h: 'c',
+  hpp: 'cpp',
+  htm: 'xml',
+  html: 'xml',
+  js: 'javascript',
+  jsx: 'javascript',
+  kt: 'kotlin',
+  kts: 'kotlin',
+  make: 'makefile',
+  md: 'markdown',
+  mjs: 'javascript',
+  mk: 'makefile',
+  proto: 'protobuf',
+  py: 'python',
+  rb: 'ruby',
+  rs: 'rust',
+  sh: 'bash',
+  shell: 'bash',
+  sol: 'solidity',
+  svg: 'xml',
+  terraform: 'hcl',
+  tf: 'hcl',
+  toml: 'ini',
+  ts: 'typescript',
+  tsx: 'typescript',
+  vue: 'xml',
+  yml: 'yaml',
+  zsh: 'bash',
+};
+
+// Grammars that embed others (<script> and <style> in HTML and Vue files)
+const EMBEDS = {
+  xml: ['javascript', 'css'],
+};
+
+/**
+ * The grammar id for a fence language, or null when we have none
+ */
+export function resolveLanguage(name) {
+  const language = String(name || '').toLowerCase();
+  if (GRAMMARS[language]) return language;
+  return ALIASES[language] || null;
+}
+
+/**
+ * The grammar ids used by the fenced code blocks in a markdown document
+ */
+export function fenceLanguages(markdown) {
+  const languages = new Set();
+  for (const match of markdown.matchAll(/^ {0,3}(?:`{3,}|~{3,})[ \t]*([^\s`{]+)/gm)) {
+    const language = resolveLanguage(match[1]);
+    if (!language) continue;
+    languages.add(language);
+    (EMBEDS[language] || []).forEach(embedded => languages.add(embedded));
+  }
+  return languages;
+}
+
+/**
+ * Import and register the grammars a markdown document needs. Grammars
+ * that are already registered aren't fetched again.
+ */
+export function loadLanguages(markdown) {
+  return Promise.all([...fenceLanguages(markdown)].map(loadGrammar));
+}
+
+// In-flight and finished loads, so concurrent renders share one import
+const loading = new Map();
+
+function loadGrammar(language) {
+  if (!loading.has(language)) {
+    loading.set(language, GRAMMARS[language]().then(({ default: grammar }) => {
+      hljs.registerLanguage(language, grammar);
+    }).catch((err) => {
+      // Let a later render retry, e.g. after a failed chunk request
+      loading.delete(language);
+      throw err;
+    }));
+  }
+  return loading.get(language);
+}
+
+export { hljs };
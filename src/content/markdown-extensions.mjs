@@ -0,0 +1,218 @@
+/**
+ * Markdown Extensions
+ *
+ * marked extensions used by the article pipeline (markdown.mjs):
+ *
+ *   Callouts   - GitHub-style admonitions: `> [!NOTE]`, `[!TIP]`,
+ *                `[!IMPORTANT]`, `[!WARNING]`, `[!CAUTION]`
+ *   Footnotes  - `[^id]` references and `[^id]: text` definitions, numbered
+ *                in order of first reference, with back-references
+ *   Math       - `$inline$` and `$$display$$` TeX, rendered with KaTeX
+ *
+ * Each extension renders per target (see markdown.mjs). The site gets KaTeX
+ * HTML with MathML for screen readers, feeds get MathML only, and Medium,
+ * which drops both, gets the TeX source as code. Keep this file free of DOM
+ * and Node APIs.
+ */
+
+import katex from 'katex';
+
+const CALLOUT_TYPES = {
+  note: 'Note',
+  tip: 'Tip',
+  important: 'Important',
+  warning: 'Warning',
+  caution: 'Caution',
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const callout = (target) => ({
+  name: 'callout',
+  level: 'block',
+  start(src) {
+    return src.match(/^ {0,3}> ?\[!/m)?.index;
+  },
+  tokenizer(src) {
+    const match = /^ {0,3}> ?\[!(\w+)\][ \t]*([^\n]*)(?:\n|$)((?: {0,3}>[^\n]*(?:\n|$))*)/.exec(src);
+    const kind = match?.[1].toLowerCase();
+    if (!match || !CALLOUT_TYPES[kind]) return undefined;
+
+    const body = [match[2], ...match[3].split('\n').map(line => line.replace(/^ {0,3}> ?/, ''))]
+      .join('\n')
+      .trim();
+    return {
+      type: 'callout',
+      raw: match[0],
+      kind,
+      tokens: this.lexer.blockTokens(body, []),
+    };
+  },
+  renderer(token) {
+    const title = CALLOUT_TYPES[token.kind];
+    const body = this.parser.parse(token.tokens);
+    if (target !== 'interactive') {
+      return `<blockquote><p><strong>${title}</strong></p>\n${body}</blockquote>\n`;
+    }
+    return `<div class="callout callout-${token.kind}" role="note"><p class="callout-title">${title}</p>\n${body}</div>\n`;
+  },
+});
+
+// Footnote state for one render: definitions by label, and the labels in
+// the order they were first referenced (which gives their numbers)
+const createFootnotes = () => ({ definitions: new Map(), order: [], refCounts: new Map() });
+
+const footnoteDefinition = (footnotes) => ({
+  name: 'footnote',
+  level: 'block',
+  start(src) {
+    return src.match(/^\[\^[^\]\s]+\]:/m)?.index;
+  },
+  tokenizer(src) {
+    // First line plus indented continuation lines (blank lines allowed between them)
+    const match = /^\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n(?:(?: {2,}|\t)[^\n]*|[ \t]*(?=\n(?: {2,}|\t)\S)))*)(?:\n+|$)/.exec(src);
+    if (!match) return undefined;
+
+    const token = {
+      type: 'footnote',
+      raw: match[0],
+      label: match[1],
+      tokens: this.lexer.blockTokens(match[2].replace(/^(?: {2,4}|\t)/gm, ''), []),
+    };
+    if (!footnotes.definitions.has(token.label)) footnotes.definitions.set(token.label, token);
+    return token;
+  },
+  // Definitions are collected and rendered at the end (footnoteList)
+  renderer() {
+    return '';
+  },
+});
+
+const footnoteRef = (target, footnotes) => ({
+  name: 'footnoteRef',
+  level: 'inline',
+  start(src) {
+    return src.indexOf('[^');
+  },
+  tokenizer(src) {
+    const match = /^\[\^([^\]\s]+)\]/.exec(src);
+    // Block tokens are lexed first, so undefined labels stay literal text
+    if (!match || !footnotes.definitions.has(match[1])) return undefined;
+    return { type: 'footnoteRef', raw: match[0], label: match[1] };
+  },
+  renderer(token) {
+    if (!footnotes.order.includes(token.label)) footnotes.order.push(token.label);
+    const number = footnotes.order.indexOf(token.label) + 1;
+    const count = (footnotes.refCounts.get(token.label) || 0) + 1;
+    footnotes.refCounts.set(token.label, count);
+
+    if (target === 'medium') return `[${number}]`;
+    const id = count === 1 ? `fnref-${number}` : `fnref-${number}-${count}`;
+    return `<sup class="footnote-ref"><a href="#fn-${number}" id="${id}" aria-describedby="footnotes-label">${number}</a></sup>`;
+  },
+});
+
+// Renders the referenced footnotes in reference order. The token is
+// appended after lexing (see createExtensions), so every reference has been
+// rendered and numbered by the time this runs.
+const footnoteList = (target, footnotes) => ({
+  name: 'footnoteList',
+  renderer() {
+    if (!footnotes.order.length) return '';
+
+    const items = footnotes.order.map((label, i) => {
+      const number = i + 1;
+      const body = this.parser.parse(footnotes.definitions.get(label).tokens).trim();
+      if (target === 'medium') return `<li>${body}</li>`;
+
+      const backrefs = Array.from({ length: footnotes.refCounts.get(label) }, (_, r) => {
+        const ref = r === 0 ? `${number}` : `${number}-${r + 1}`;
+        const suffix = r === 0 ? '' : `<sup>${r + 1}</sup>`;
+        return `<a href="#fnref-${ref}" class="footnote-backref" aria-label="Back to reference ${ref}">↩${suffix}</a>`;
+      }).join(' ');
+      // Back-references go inside the last paragraph when there is one
+      const content = body.endsWith('</p>')
+        ? `${body.slice(0, -4)} ${backrefs}</p>`
+        : `${body} ${backrefs}`;
+      return `<li id="fn-${number}">${content}</li>`;
+    }).join('\n');
+
+    if (target === 'medium') return `<hr>\n<h3>Notes</h3>\n<ol>\n${items}\n</ol>\n`;
+    return `<section class="footnotes"><h2 id="footnotes-label" class="sr-only">Footnotes</h2>\n<ol>\n${items}\n</ol>\n</section>\n`;
+  },
+});
+
+function renderMath(tex, { displayMode, target }) {
+  if (target === 'medium') {
+    return displayMode ? `<pre><code>${escapeHtml(tex)}</code></pre>\n` : `<code>${escapeHtml(tex)}</code>`;
+  }
+  const html = katex.renderToString(tex, {
+    displayMode,
+    throwOnError: false,
+    output: target === 'interactive' ? 'htmlAndMathml' : 'mathml',
+  });
+  return displayMode ? `<div class="math-display">${html}</div>\n` : html;
+}
+
+const mathBlock = (target) => ({
+  name: 'mathBlock',
+  level: 'block',
+  start(src) {
+    return src.match(/^ {0,3}\$\$/m)?.index;
+  },
+  tokenizer(src) {
+    const match = /^ {0,3}\$\$([\s\S]+?)\$\$[ \t]*(?:\n+|$)/.exec(src);
+    if (!match) return undefined;
+    return { type: 'mathBlock', raw: match[0], text: match[1].trim() };
+  },
+  renderer(token) {
+    return renderMath(token.text, { displayMode: true, target });
+  },
+});
+
+// `$x$` with no space inside the delimiters and no digit after the closing
+// one, so prices like "$5 to $10" stay text
+const mathInline = (target) => ({
+  name: 'mathInline',
+  level: 'inline',
+  start(src) {
+    return src.indexOf('$');
+  },
+  tokenizer(src) {
+    const match = /^\$(?![\s$])((?:\\.|[^\\\n$])*?(?:\\.|[^\s\\$]))\$(?!\d)/.exec(src);
+    if (!match) return undefined;
+    return { type: 'mathInline', raw: match[0], text: match[1] };
+  },
+  renderer(token) {
+    return renderMath(token.text, { displayMode: false, target });
+  },
+});
+
+/**
+ * The marked extension (pass to `new Marked(...)` or `marked.use`) for one
+ * render. Footnote numbering is per instance, so create one per document.
+ */
+export function createExtensions({ target }) {
+  const footnotes = createFootnotes();
+
+  return {
+    extensions: [
+      callout(target),
+      footnoteDefinition(footnotes),
+      footnoteRef(target, footnotes),
+      footnoteList(target, footnotes),
+      mathBlock(target),
+      mathInline(target),
+    ],
+    hooks: {
+      processAllTokens(tokens) {
+        if (footnotes.definitions.size) tokens.push({ type: 'footnoteList', raw: '' });
+        return tokens;
+      },
+    },
+  };
+}
@@ -0,0 +1,266 @@
+/**
+ * Article Markdown Pipeline
+ *
+ * One marked configuration shared by BlogArticleView and the build scripts
+ * (feeds), so every surface renders articles the same way. Keep this file
+ * free of DOM and Node APIs.
+ *
+ * Targets:
+ *   interactive - the site: heading anchors, mermaid/asciinema placeholders
+ *                 that the view hydrates after mount
+ *   static      - feeds and other HTML consumers without our JS: no anchors,
+ *                 diagrams as code and recordings as plain links
+ *   medium      - static, narrowed to the markup Medium's HTML import keeps:
+ *                 plain code blocks, math as TeX source
+ *
+ * The HTML for every target goes through sanitize.mjs last, so raw HTML in
+ * an article is limited to its allowlists.
+ *
+ * Callouts, footnotes and math come from markdown-extensions.mjs. Code is
+ * highlighted with the grammars registered by loadLanguages (highlight.mjs),
+ * so await it with the same markdown before rendering; fences whose grammar
+ * isn't loaded render as plain text.
+ */
+
+import { Marked } from 'marked';
+import { hljs, resolveLanguage, loadLanguages } from './highlight.mjs';
+import { createSlugger, plainHeading } from './slugify.mjs';
+import { createExtensions } from './markdown-extensions.mjs';
+import { parseFenceInfo, splitHighlightedLines, diffLineType } from './code-fence.mjs';
+import { sanitizeArticleHtml } from './sanitize.mjs';
+import { isEmbedAllowed } from './embeds.mjs';
+
+export { loadLanguages };
+
+// Blocks longer than this start collapsed on the site
+const COLLAPSE_LINES = 30;
+
+// Language display names
+export const languageNames = {
+  javascript: 'JavaScript',
+  js: 'JavaScript',
+  typescript: 'TypeScript',
+  ts: 'TypeScript',
+  python: 'Python',
+  py: 'Python',
+  rust: 'Rust',
+  bash: 'Bash',
+  sh: 'Shell',
+  shell: 'Shell',
+  json: 'JSON',
+  yaml: 'YAML',
+  yml: 'YAML',
+  sql: 'SQL',
+  go: 'Go',
+  dockerfile: 'Dockerfile',
+  docker: 'Dockerfile',
+  tsx: 'TSX',
+  solidity: 'Solidity',
+  sol: 'Solidity',
+  toml: 'TOML',
+  ini: 'INI',
+  hcl: 'HCL',
+  terraform: 'Terraform',
+  tf: 'Terraform',
+  c: 'C',
+  cpp: 'C++',
+  'c++': 'C++',
+  csharp: 'C#',
+  java: 'Java',
+  kotlin: 'Kotlin',
+  kt: 'Kotlin',
+  swift: 'Swift',
+  ruby: 'Ruby',
+  lua: 'Lua',
+  html: 'HTML',
+  xml: 'XML',
+  vue: 'Vue',
+  css: 'CSS',
+  scss: 'SCSS',
+  http: 'HTTP',
+  graphql: 'GraphQL',
+  makefile: 'Makefile',
+  markdown: 'Markdown',
+  md: 'Markdown',
+  nginx: 'Nginx',
+  protobuf: 'Protobuf',
+  promql: 'PromQL',
+  diff: 'Diff',
+  mermaid: 'Diagram',
+  asciinema: 'Terminal Recording',
+  terminal: 'Terminal',
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Display name for a fence language (the caller escapes it)
+const languageLabel = (language) => (
+  Object.prototype.hasOwnProperty.call(languageNames, language) ? languageNames[language] : language.toUpperCase()
+) || 'Code';
+
+function highlightCode(code, language) {
+  const grammar = resolveLanguage(language);
+  if (grammar && hljs.getLanguage(grammar)) {
+    try {
+      return hljs.highlight(code, { language: grammar }).value;
+    } catch (e) {
+      console.warn('Highlighting failed:', e);
+    }
+  }
+  return escapeHtml(code);
+}
+
+// Interactive code block: header with title, language and copy button, one
+// span per line (line numbers, highlighted ranges and diff colors are CSS),
+// and an expand button for long blocks. The view wires up the buttons.
+function renderCodeBlock(code, fence) {
+  const langName = languageLabel(fence.language);
+  const rawLines = code.split('\n');
+  const diffTypes = fence.diff ? rawLines.map(diffLineType) : [];
+  // `lang diff` fences keep their +/- column outside the highlighted code
+  const markers = fence.diff && fence.language !== 'diff';
+
+  let lines;
+  if (fence.language === 'diff') {
+    lines = rawLines.map(escapeHtml);
+  } else {
+    const source = markers ? rawLines.map(line => (/^[+\- ]/.test(line) ? line.slice(1) : line)).join('\n') : code;
+    lines = splitHighlightedLines(highlightCode(source, fence.language));
+  }
+
+  const body = lines.map((html, i) => {
+    const classes = ['code-line'];
+    if (fence.highlight.has(i + 1)) classes.push('is-highlighted');
+    if (diffTypes[i]) classes.push(`line-${diffTypes[i]}`);
+    const marker = markers ? `<span class="diff-marker">${/^[+-]/.test(rawLines[i]) ? rawLines[i][0] : ' '}</span>` : '';
+    return `<span class="${classes.join(' ')}">${marker}${html}</span>`;
+  }).join('\n');
+
+  const collapsible = lines.length > COLLAPSE_LINES;
+  const wrapperClass = collapsible ? 'code-block-wrapper code-block-collapsible is-collapsed' : 'code-block-wrapper';
+  const title = fence.title ? `<span class="code-block-title">${escapeHtml(fence.title)}</span>` : '';
+  const expand = collapsible
+    ? `<button type="button" class="code-expand-button" aria-expanded="false">Show all ${lines.length} lines</button>`
+    : '';
+
+  return `<div class="${wrapperClass}"><div class="code-block-header">${title}<span class="code-lang-label">${escapeHtml(langName)}</span><button type="button" class="code-copy-button" aria-label="Copy code to clipboard">Copy</button></div><pre${fence.showLineNumbers ? ' class="line-numbers"' : ''}><code class="hljs language-${fenceClass(fence.language)}">${body}</code></pre>${expand}</div>`;
+}
+
+// Language names end up in a class attribute
+const fenceClass = (language) => language.replace(/[^\w+#.-]/g, '');
+
+// First line is the cast URL, optional second line the title
+function parseRecording(code) {
+  const lines = code.trim().split('\n');
+  return { src: lines[0].trim(), title: lines[1]?.trim() || 'Terminal Demo' };
+}
+
+// index is the recording's position in the article, so the same source
+// always compiles to the same HTML
+function recordingPlaceholder(recording, index) {
+  const id = `asciinema-${index}`;
+  const src = escapeHtml(recording.src);
+  const title = escapeHtml(recording.title);
+
+  return `<div class="asciinema-embed" data-id="${id}" data-src="${src}" data-title="${title}">
+          <div class="asciinema-placeholder">
+            <div class="flex items-center gap-2 mb-3">
+              <span class="w-3 h-3 rounded-full bg-red-500"></span>
+              <span class="w-3 h-3 rounded-full bg-yellow-500"></span>
+              <span class="w-3 h-3 rounded-full bg-green-500"></span>
+              <span class="ml-2 text-sm font-medium text-gray-400 font-mono">${title}</span>
+            </div>
+            <div class="flex items-center justify-center h-48 bg-gray-900 rounded-lg border border-gray-700">
+              <div class="text-center">
+                <div class="w-16 h-16 mx-auto mb-3 rounded-full bg-gradient-to-r from-blue-500 to-cyan-500 flex items-center justify-center">
+                  <svg class="w-8 h-8 text-white" fill="currentColor" viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg>
+                </div>
+                <p class="text-gray-400 text-sm font-mono">Click to load terminal recording</p>
+                <p class="text-gray-500 text-xs mt-1">${src}</p>
+              </div>
+            </div>
+          </div>
+        </div>`;
+}
+
+function createRenderer({ target, slugger, headings, diagrams }) {
+  const interactive = target === 'interactive';
+  let recordings = 0;
+
+  return {
+    heading(token) {
+      const text = plainHeading(token.text);
+      const id = slugger(text);
+      if (token.depth === 2 || token.depth === 3) {
+        headings.push({ id, text, depth: token.depth });
+      }
+      const anchor = interactive
+        ? `<a class="heading-anchor" href="#${id}" aria-label="Link to this section">#</a>`
+        : '';
+      return `<h${token.depth} id="${id}">${this.parser.parseInline(token.tokens)}${anchor}</h${token.depth}>\n`;
+    },
+
+    code(token) {
+      const code = token.text || '';
+      const fence = parseFenceInfo(token.lang || '');
+      const { language } = fence;
+      const langName = languageLabel(language);
+
+      // Mermaid diagrams: SVG rendered at build time (scripts/build-articles.mjs),
+      // or by the view when the placeholder is still there
+      if (language === 'mermaid') {
+        if (!interactive) {
+          return `<pre><code class="language-mermaid">${escapeHtml(code)}</code></pre>\n`;
+        }
+        diagrams.push(code);
+        return `<div class="mermaid-wrapper"><div class="code-lang-label">Diagram</div><div class="mermaid" data-diagram="${diagrams.length - 1}">${escapeHtml(code)}</div></div>`;
+      }
+
+      // Asciinema recordings, from EMBED_HOSTS only (embeds.mjs)
+      if (language === 'asciinema' || language === 'terminal') {
+        const recording = parseRecording(code);
+        if (!isEmbedAllowed(recording.src)) {
+          return `<pre><code>${escapeHtml(code)}</code></pre>\n`;
+        }
+        if (!interactive) {
+          return `<p><a href="${escapeHtml(recording.src)}">▶ ${escapeHtml(recording.title)}</a></p>\n`;
+        }
+        return recordingPlaceholder(recording, recordings++);
+      }
+
+      if (target === 'medium') {
+        const title = fence.title ? `<p><strong>${escapeHtml(fence.title)}</strong></p>\n` : '';
+        return `${title}<pre><code>${escapeHtml(code)}</code></pre>\n`;
+      }
+
+      if (interactive) return renderCodeBlock(code, fence);
+
+      // Diffs keep their +/- markers as text where there is no CSS to color them
+      const highlighted = fence.diff ? escapeHtml(code) : highlightCode(code, language);
+      return `<div class="code-block-wrapper"><div class="code-lang-label">${escapeHtml(fence.title || langName)}</div><pre><code class="hljs language-${fenceClass(language)}">${highlighted}</code></pre></div>`;
+    },
+  };
+}
+
+/**
+ * Render article markdown (without frontmatter) to HTML.
+ * Returns the HTML, the h2/h3 headings with the ids used in it, and the
+ * source of each mermaid diagram (interactive target), in data-diagram order.
+ * The HTML is sanitized (sanitize.mjs).
+ */
+export function renderMarkdown(markdown, { target = 'interactive' } = {}) {
+  const headings = [];
+  const diagrams = [];
+  const marked = new Marked({
+    gfm: true,
+    breaks: true,
+    renderer: createRenderer({ target, slugger: createSlugger(), headings, diagrams }),
+  }, createExtensions({ target }));
+
+  return { html: sanitizeArticleHtml(marked.parse(markdown)), headings, diagrams };
+}
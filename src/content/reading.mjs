@@ -0,0 +1,32 @@
+/**
+ * Reading Position
+ *
+ * How far through an article body the reader is, and when that's worth
+ * saving (src/utils/readingProgress.js). Used by BlogArticleView; keep this
+ * file free of DOM and Node APIs.
+ */
+
+// Height of the fixed nav bar the body scrolls under
+export const NAV_HEIGHT = 72;
+
+// How long an article must stay open to count without scrolling
+export const MIN_DWELL_MS = 15000;
+
+/**
+ * 0 when the body's top reaches the nav bar, 1 when its end is in view.
+ * A body shorter than the viewport is at 1 as soon as it's shown.
+ */
+export function bodyProgress({ top, height }, viewportHeight) {
+  const distance = height - viewportHeight + NAV_HEIGHT;
+  const progress = distance > 0 ? (NAV_HEIGHT - top) / distance : 1;
+  return Math.min(1, Math.max(0, progress));
+}
+
+/**
+ * Whether a position should be saved: not the top of the page, and not
+ * before the reader has scrolled or stayed a while, so an article that fits
+ * on screen isn't marked read just by opening it
+ */
+export function shouldSaveProgress(progress, { scrolled, dwellMs }) {
+  return progress > 0 && (scrolled || dwellMs >= MIN_DWELL_MS);
+}
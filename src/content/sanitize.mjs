@@ -0,0 +1,121 @@
+/**
+ * Rendered HTML Sanitization
+ *
+ * The last stage of renderMarkdown (markdown.mjs): whatever an article
+ * contains, only the tags and attributes listed here reach the page, the
+ * feeds or Medium. The lists cover what our renderer and KaTeX emit plus
+ * the usual inline HTML in markdown; anything else is dropped, keeping its
+ * text. Mermaid SVGs are added after this stage by scripts/build-articles.mjs
+ * (rendered with securityLevel 'strict').
+ *
+ * Embeds (iframes and asciinema recordings) are allowed from EMBED_HOSTS
+ * (embeds.mjs) only. Keep this file free of DOM and Node APIs.
+ */
+
+import sanitizeHtml from 'sanitize-html';
+import { EMBED_HOSTS, isEmbedAllowed } from './embeds.mjs';
+
+// KaTeX's MathML output (htmlAndMathml and mathml)
+const MATHML_TAGS = [
+  'math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'mtext', 'mspace', 'ms',
+  'msub', 'msup', 'msubsup', 'munder', 'mover', 'munderover', 'mfrac', 'msqrt', 'mroot',
+  'mstyle', 'mpadded', 'mphantom', 'menclose', 'mtable', 'mtr', 'mtd', 'mlabeledtr',
+];
+
+const MATHML_ATTRIBUTES = [
+  'xmlns', 'display', 'encoding', 'mathvariant', 'stretchy', 'fence', 'separator', 'lspace',
+  'rspace', 'width', 'height', 'depth', 'voffset', 'accent', 'accentunder', 'minsize',
+  'maxsize', 'movablelimits', 'symmetric', 'largeop', 'linethickness', 'scriptlevel',
+  'displaystyle', 'notation', 'mathcolor', 'mathbackground', 'columnalign', 'columnspacing',
+  'columnlines', 'rowspacing', 'rowlines', 'rowalign', 'framespacing', 'frame', 'side',
+];
+
+export const ALLOWED_TAGS = [
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote', 'pre', 'code',
+  'a', 'strong', 'b', 'em', 'i', 'del', 's', 'ins', 'mark', 'sup', 'sub', 'kbd', 'abbr',
+  'small', 'span', 'div', 'section', 'figure', 'figcaption', 'details', 'summary',
+  'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'input',
+  'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption',
+  'img', 'picture', 'source', 'video', 'iframe', 'button',
+  // Icons in our placeholders and KaTeX's stretchy symbols
+  'svg', 'path', 'line',
+  ...MATHML_TAGS,
+];
+
+export const ALLOWED_ATTRIBUTES = {
+  '*': ['id', 'class', 'title', 'lang', 'dir', 'role', 'aria-*'],
+  a: ['href', 'name', 'target', 'rel'],
+  img: ['src', 'srcset', 'alt', 'width', 'height', 'loading'],
+  source: ['src', 'srcset', 'type', 'media'],
+  video: ['src', 'poster', 'width', 'height', 'controls', 'muted', 'loop', 'playsinline'],
+  iframe: ['src', 'width', 'height', 'allow', 'allowfullscreen', 'loading', 'referrerpolicy'],
+  // Mermaid and asciinema placeholders, hydrated by BlogArticleView
+  div: ['data-diagram', 'data-id', 'data-src', 'data-title'],
+  // KaTeX layout
+  span: ['style'],
+  ol: ['start', 'reversed'],
+  li: ['value'],
+  th: ['align', 'colspan', 'rowspan', 'scope'],
+  td: ['align', 'colspan', 'rowspan'],
+  details: ['open'],
+  input: ['type', 'checked', 'disabled'],
+  button: ['type', 'aria-expanded'],
+  svg: ['xmlns', 'viewBox', 'width', 'height', 'fill', 'preserveAspectRatio', 'style'],
+  path: ['d', 'fill'],
+  line: ['x1', 'y1', 'x2', 'y2', 'stroke-width'],
+  ...Object.fromEntries(MATHML_TAGS.map(tag => [tag, MATHML_ATTRIBUTES])),
+};
+
+// Inline styles KaTeX positions glyphs with; other properties are dropped
+const LENGTH = /^-?(\d+(\.\d+)?|\.\d+)(em|ex|px|%)?$/;
+const COLOR = /^(#[0-9a-f]{3,8}|[a-z]+)$/i;
+
+const ALLOWED_STYLES = {
+  '*': Object.fromEntries([
+    ...['height', 'width', 'min-width', 'top', 'left', 'bottom', 'vertical-align', 'margin-left',
+      'margin-right', 'padding-left', 'border-bottom-width', 'border-top-width', 'border-right-width']
+      .map(property => [property, [LENGTH]]),
+    ['color', [COLOR]],
+    ['background-color', [COLOR]],
+  ]),
+};
+
+const OPTIONS = {
+  allowedTags: ALLOWED_TAGS,
+  allowedAttributes: ALLOWED_ATTRIBUTES,
+  allowedStyles: ALLOWED_STYLES,
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesAppliedToAttributes: ['href', 'src', 'srcset', 'poster'],
+  allowProtocolRelative: false,
+  allowedIframeHostnames: EMBED_HOSTS,
+  allowIframeRelativeUrls: false,
+  // Keep SVG's camelCase attributes (viewBox) as written
+  parser: { lowerCaseAttributeNames: false },
+  transformTags: {
+    // Task list checkboxes only
+    input: (tagName, attribs) => ({
+      tagName,
+      attribs: { type: 'checkbox', disabled: '', ...(attribs.checked !== undefined && { checked: '' }) },
+    }),
+    // Links that open a new tab don't get a handle on this one
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: attribs.target ? { ...attribs, target: '_blank', rel: 'noopener noreferrer' } : attribs,
+    }),
+    iframe: (tagName, attribs) => ({
+      tagName,
+      attribs: { ...attribs, loading: 'lazy', referrerpolicy: 'strict-origin-when-cross-origin' },
+    }),
+  },
+  // Drop embeds whose source isn't allowed (the iframe src is already gone)
+  exclusiveFilter: frame => (frame.tag === 'iframe' && !frame.attribs.src)
+    || (frame.tag === 'div' && /\basciinema-embed\b/.test(frame.attribs.class || '')
+      && !isEmbedAllowed(frame.attribs['data-src'])),
+};
+
+/**
+ * Strip everything outside the allowlists from rendered article HTML
+ */
+export function sanitizeArticleHtml(html) {
+  return sanitizeHtml(html, OPTIONS);
+}
@@ -0,0 +1,187 @@
+/**
+ * Site Search
+ *
+ * The inverted index is built at build time by scripts/build-search-index.mjs
+ * and ranked in the browser with BM25 plus prefix matching. The tokenizer is
+ * shared so both sides agree on terms; keep this file free of DOM and Node APIs.
+ */
+
+export const SEARCH_INDEX_URL = '/content/search-index.json';
+
+// Field weights applied to term frequency (title matches count most)
+export const FIELD_WEIGHTS = {
+  title: 4,
+  tags: 3,
+  headings: 2,
+  body: 1,
+};
+
+const K1 = 1.2;
+const B = 0.75;
+const PREFIX_PENALTY = 0.6;
+const MAX_PREFIX_TERMS = 20;
+const SNIPPET_LENGTH = 160;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'so', 'that',
+  'the', 'their', 'then', 'there', 'these', 'this', 'to', 'was', 'we', 'were', 'what',
+  'when', 'which', 'will', 'with', 'you', 'your',
+]);
+
+/**
+ * Split text into lowercase search terms
+ */
+export function tokenize(text) {
+  const terms = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return terms.filter(term => !STOP_WORDS.has(term));
+}
+
+// Binary search for the first vocabulary entry >= prefix
+function lowerBound(sorted, prefix) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] < prefix) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+const hasTerm = (index, term) => Object.prototype.hasOwnProperty.call(index.terms, term);
+
+// Exact term plus vocabulary terms that start with it
+function expandTerm(index, term, vocabulary) {
+  const matches = hasTerm(index, term) ? [{ term, boost: 1 }] : [];
+  if (term.length < 2) return matches;
+
+  for (let i = lowerBound(vocabulary, term); i < vocabulary.length && matches.length < MAX_PREFIX_TERMS; i++) {
+    const candidate = vocabulary[i];
+    if (!candidate.startsWith(term)) break;
+    if (candidate !== term) {
+      matches.push({ term: candidate, boost: PREFIX_PENALTY * (term.length / candidate.length) });
+    }
+  }
+  return matches;
+}
+
+const vocabularies = new WeakMap();
+
+function getVocabulary(index) {
+  if (!vocabularies.has(index)) {
+    vocabularies.set(index, Object.keys(index.terms).sort());
+  }
+  return vocabularies.get(index);
+}
+
+/**
+ * Rank documents for a query with BM25.
+ * Postings are flat [docIndex, weightedTf, docIndex, weightedTf, ...] arrays.
+ */
+export function search(index, query, { limit = 20, type = null } = {}) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (!queryTerms.length) return [];
+
+  const vocabulary = getVocabulary(index);
+  const docCount = index.docs.length;
+  const scores = new Map();
+  const matched = new Map();
+
+  for (const queryTerm of queryTerms) {
+    for (const { term, boost } of expandTerm(index, queryTerm, vocabulary)) {
+      const postings = index.terms[term];
+      const df = postings.length / 2;
+      const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+
+      for (let i = 0; i < postings.length; i += 2) {
+        const docIndex = postings[i];
+        const tf = postings[i + 1];
+        const norm = 1 - B + B * (index.docs[docIndex].length / index.avgLength);
+        const score = idf * ((tf * (K1 + 1)) / (tf + K1 * norm)) * boost;
+
+        scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+        if (!matched.has(docIndex)) matched.set(docIndex, new Set());
+        matched.get(docIndex).add(term);
+      }
+    }
+  }
+
+  return [...scores.entries()]
+    .map(([docIndex, score]) => {
+      const doc = index.docs[docIndex];
+      // Favour documents that match every query term
+      const coverage = queryTerms.filter(q => [...matched.get(docIndex)].some(t => t.startsWith(q))).length;
+      return { ...doc, score: score * (coverage / queryTerms.length), terms: [...matched.get(docIndex)] };
+    })
+    .filter(result => !type || result.type === type)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function termPattern(terms) {
+  const escaped = terms
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  // Only match at the start of a word so "rust" doesn't light up "trust"
+  return escaped.length ? new RegExp(`(?<![\\p{L}\\p{N}])(${escaped.join('|')})`, 'giu') : null;
+}
+
+/**
+ * Escape text and wrap matched terms in <mark>
+ */
+export function highlight(text, terms) {
+  const pattern = termPattern(terms);
+  const safe = escapeHtml(text);
+  return pattern ? safe.replace(pattern, '<mark>$1</mark>') : safe;
+}
+
+/**
+ * Cut a window of text around the first matched term, highlighted
+ */
+export function snippet(text, terms, length = SNIPPET_LENGTH) {
+  if (!text) return '';
+  const pattern = termPattern(terms);
+  const match = pattern ? pattern.exec(text) : null;
+
+  let start = 0;
+  if (match && match.index > length / 3) {
+    start = text.lastIndexOf(' ', match.index - Math.floor(length / 3)) + 1;
+  }
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+
+  const prefix = start > 0 ? '… ' : '';
+  const suffix = end < text.length ? ' …' : '';
+  return `${prefix}${highlight(text.slice(start, end), terms)}${suffix}`;
+}
+
+let indexPromise = null;
+
+/**
+ * Fetch the search index once and share it between callers
+ */
+export function loadSearchIndex() {
+  if (!indexPromise) {
+    indexPromise = fetch(SEARCH_INDEX_URL)
+      .then((response) => {
+        if (!response.ok) throw new Error('Failed to load search index');
+        return response.json();
+      })
+      .catch((err) => {
+        indexPromise = null;
+        throw err;
+      });
+  }
+  return indexPromise;
+}
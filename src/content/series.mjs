@@ -0,0 +1,65 @@
+/**
+ * Article Series
+ *
+ * Articles that share a `series:` frontmatter value form a series, ordered
+ * by `seriesOrder:`. Works on index.json entries; keep this file free of DOM
+ * and Node APIs.
+ */
+
+const byOrder = (a, b) => (a.seriesOrder ?? Infinity) - (b.seriesOrder ?? Infinity) || a.slug.localeCompare(b.slug);
+
+/**
+ * All parts of a series in reading order
+ */
+export function seriesParts(articles, series) {
+  if (!series) return [];
+  return articles.filter(a => a.series === series).sort(byOrder);
+}
+
+/**
+ * Where an article sits in its series: { series, parts, index, prev, next },
+ * or null when it isn't part of one
+ */
+export function seriesContext(articles, slug) {
+  const article = articles.find(a => a.slug === slug);
+  const parts = seriesParts(articles, article?.series);
+  const index = parts.findIndex(a => a.slug === slug);
+  if (index === -1) return null;
+
+  return {
+    series: article.series,
+    parts,
+    index,
+    prev: parts[index - 1] || null,
+    next: parts[index + 1] || null,
+  };
+}
+
+/**
+ * Keep only the most recently published part of each series, annotated with
+ * seriesPart / seriesTotal. Positions are counted against `allArticles` so a
+ * filtered list still reports "Part 3 of 3" rather than "Part 1 of 1".
+ * Order of the input is preserved.
+ */
+export function collapseSeries(articles, allArticles = articles) {
+  const latest = new Map();
+  articles.forEach((article) => {
+    if (!article.series) return;
+    const current = latest.get(article.series);
+    if (!current || article.date > current.date || (article.date === current.date && byOrder(article, current) > 0)) {
+      latest.set(article.series, article);
+    }
+  });
+
+  return articles
+    .filter(article => !article.series || latest.get(article.series) === article)
+    .map((article) => {
+      if (!article.series) return article;
+      const parts = seriesParts(allArticles, article.series);
+      return {
+        ...article,
+        seriesPart: parts.findIndex(a => a.slug === article.slug) + 1,
+        seriesTotal: parts.length,
+      };
+    });
+}
@@ -0,0 +1,86 @@
+/**
+ * Site Identity and URLs
+ *
+ * Shared by seo.js and the build scripts so absolute URLs are built in one
+ * place. Keep this file free of DOM and Node APIs.
+ */
+
+import { termSlug } from './slugify.mjs';
+
+export const SITE_URL = 'https://punitmishra.com';
+export const SITE_TITLE = 'Punit Mishra - Software Engineer Portfolio';
+export const SITE_DESCRIPTION = 'Full Stack Software Engineer with 12+ years of experience building scalable applications from silicon to software. Specialized in AI/ML infrastructure, systems architecture, and enterprise software development.';
+export const BLOG_TITLE = 'Punit Mishra - Blog';
+export const BLOG_DESCRIPTION = 'Articles on AI/ML infrastructure, systems engineering, security and side projects.';
+
+export const AUTHOR = {
+  name: 'Punit Mishra',
+  url: SITE_URL,
+};
+
+// The site's source, for "View source" links to articles
+export const SOURCE_REPO_URL = 'https://github.com/punitmishra/punitmishra.github.io';
+
+/**
+ * GitHub link to a file in the repo, at a branch or commit
+ */
+export function sourceUrl(path, ref = 'main') {
+  return `${SOURCE_REPO_URL}/blob/${ref}/${path}`;
+}
+
+/**
+ * How the router puts routes in the URL: 'history' for plain paths
+ * (/blog/<slug>), or 'hash' (/#/blog/<slug>) for a host that can't fall
+ * back to the app for unknown paths. Canonical URLs, feeds and the sitemap
+ * follow it.
+ */
+export const ROUTER_MODE = 'history';
+
+export function routeUrl(path = '/') {
+  return ROUTER_MODE === 'hash' ? `${SITE_URL}/#${path}` : `${SITE_URL}${path}`;
+}
+
+export function articleUrl(slug) {
+  return routeUrl(`/blog/${slug}`);
+}
+
+/**
+ * Feed entry id for an article. Articles were first published under hash
+ * URLs (/#/blog/<slug>), and feed readers key entries on the id, so it
+ * stays in that form. The URL still works (see router/index.js).
+ */
+export function articleId(slug) {
+  return `${SITE_URL}/#/blog/${slug}`;
+}
+
+// Site-relative path to a static file in public/
+export function assetUrl(path) {
+  return `${SITE_URL}${path}`;
+}
+
+// Social card for an article (scripts/build-og-images.mjs)
+export function ogImageUrl(slug) {
+  return assetUrl(`/og/${slug}.png`);
+}
+
+// Photos are hosted on Cloudinary (see src/utils/cloudinary.js)
+export const CLOUDINARY_URL = 'https://res.cloudinary.com/dnqycaqeb/image/upload';
+
+export function photoUrl(publicId, transforms = 'f_auto,q_auto') {
+  return `${CLOUDINARY_URL}/${transforms}/${publicId}`;
+}
+
+/**
+ * Feed locations. The site-wide feeds sit at the root; tag and category
+ * feeds mirror the same file names under /feeds/<kind>/<slug>/.
+ */
+export const FEED_FORMATS = {
+  rss: { file: 'feed.xml', type: 'application/rss+xml', label: 'RSS' },
+  atom: { file: 'atom.xml', type: 'application/atom+xml', label: 'Atom' },
+  json: { file: 'feed.json', type: 'application/feed+json', label: 'JSON Feed' },
+};
+
+export function feedPath(format, { kind = null, term = null } = {}) {
+  const { file } = FEED_FORMATS[format];
+  return kind ? `/feeds/${kind}/${termSlug(term)}/${file}` : `/${file}`;
+}
@@ -0,0 +1,58 @@
+/**
+ * Heading Slugs
+ *
+ * GitHub-style heading ids. Shared by the browser (BlogArticleView) and the
+ * Node content scripts, so it must stay free of DOM and Node APIs.
+ */
+
+/**
+ * Reduce raw markdown heading text to plain text: links and images keep
+ * their label, code spans and emphasis markers are dropped
+ */
+export function plainHeading(text) {
+  return String(text)
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/`/g, '')
+    .replace(/\*+/g, '')
+    .replace(/(^|[^\p{L}\p{N}])_+|_+(?=[^\p{L}\p{N}]|$)/gu, '$1')
+    .trim();
+}
+
+/**
+ * Convert heading text to an id: "Step 1: Install" -> "step-1-install"
+ */
+export function slugify(text) {
+  return String(text)
+    .replace(/<[^>]+>/g, '')
+    .replace(/&[a-z]+;|&#\d+;/gi, '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/\s/g, '-');
+}
+
+/**
+ * Create a slugger that de-duplicates repeated headings within one article
+ * ("setup", "setup-1", "setup-2")
+ */
+export function createSlugger() {
+  const seen = new Map();
+
+  return (text) => {
+    const base = slugify(text);
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    return count ? `${base}-${count}` : base;
+  };
+}
+
+/**
+ * URL slug for a tag or category: "AI/ML" -> "ai-ml", "Vue.js" -> "vue-js"
+ */
+export function termSlug(term) {
+  return String(term)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
@@ -0,0 +1,166 @@
+/**
+ * Structured Data (JSON-LD)
+ *
+ * schema.org objects for the page heads in head.mjs. Each one is built from
+ * the data its page renders: the blog index entry and compiled article,
+ * resume.json, src/data/projects.json. Keep this file free of DOM and Node
+ * APIs.
+ */
+
+import { SITE_URL, SITE_DESCRIPTION, AUTHOR, routeUrl } from './site.mjs';
+import { findCategory, categoryPath } from './taxonomy.mjs';
+
+const CONTEXT = 'https://schema.org';
+
+// The site owner, on every page that has no more specific schema
+export const PERSON = {
+  '@type': 'Person',
+  name: AUTHOR.name,
+  url: SITE_URL,
+  jobTitle: 'Senior Software Engineer',
+  worksFor: {
+    '@type': 'Organization',
+    name: 'SAP',
+  },
+  sameAs: [
+    'https://github.com/punitmishra',
+    'https://linkedin.com/in/mishrapunit',
+    'https://twitter.com/punitmishra',
+  ],
+  description: SITE_DESCRIPTION,
+  knowsAbout: [
+    'Software Engineering',
+    'AI/ML Infrastructure',
+    'Systems Architecture',
+    'Full Stack Development',
+    'Rust',
+    'Python',
+    'Vue.js',
+    'React',
+  ],
+};
+
+const AUTHOR_REF = { '@type': 'Person', name: AUTHOR.name, url: AUTHOR.url };
+
+export function personData(image) {
+  return { '@context': CONTEXT, ...PERSON, image };
+}
+
+/**
+ * BreadcrumbList from [{ name, path }], home first
+ */
+export function breadcrumbList(crumbs) {
+  return {
+    '@context': CONTEXT,
+    '@type': 'BreadcrumbList',
+    itemListElement: [{ name: 'Home', path: '/' }, ...crumbs].map(({ name, path }, i) => ({
+      '@type': 'ListItem',
+      position: i + 1,
+      name,
+      item: routeUrl(path),
+    })),
+  };
+}
+
+/**
+ * BlogPosting for an article's index entry. wordCount comes from its
+ * compiled payload and updated (dateModified) from history.json, when known.
+ */
+export function blogPosting(article, { url, image, wordCount = null, updated = null }) {
+  const tags = Array.isArray(article.tags) ? article.tags : [];
+  return {
+    '@context': CONTEXT,
+    '@type': 'BlogPosting',
+    headline: article.title,
+    description: article.excerpt,
+    url,
+    mainEntityOfPage: url,
+    image,
+    datePublished: article.date,
+    dateModified: updated || article.date,
+    ...(article.category && { articleSection: article.category }),
+    keywords: tags.join(', '),
+    ...(wordCount && { wordCount }),
+    inLanguage: 'en',
+    author: AUTHOR_REF,
+    publisher: AUTHOR_REF,
+  };
+}
+
+// Breadcrumbs for an article: its category page, then the article
+export function articleBreadcrumbs(article) {
+  const category = findCategory(article.category);
+  return breadcrumbList([
+    ...(category ? [{ name: category.label, path: categoryPath(category.name) }] : []),
+    { name: article.title, path: `/blog/${article.slug}` },
+  ]);
+}
+
+// A resume.json date ("2013-01", "2010"); undefined (left out of the JSON)
+// when there's none, as for a current job
+const resumeDate = (date) => (date ? String(date) : undefined);
+
+/**
+ * ProfilePage for /resume from resume.json: the person with their work
+ * history, education, credentials and skills
+ */
+export function profilePage(resume, { url, image }) {
+  const { basics } = resume;
+  return {
+    '@context': CONTEXT,
+    '@type': 'ProfilePage',
+    url,
+    mainEntity: {
+      '@type': 'Person',
+      name: basics.name,
+      url: SITE_URL,
+      image,
+      jobTitle: basics.title,
+      description: basics.summary,
+      email: basics.email,
+      address: { '@type': 'PostalAddress', addressLocality: basics.location },
+      sameAs: basics.profiles.map(profile => profile.url),
+      // schema.org's Role pattern: the role wraps the organization and dates
+      worksFor: resume.experience.map(job => ({
+        '@type': 'EmployeeRole',
+        roleName: job.position,
+        description: job.summary,
+        startDate: resumeDate(job.startDate),
+        endDate: job.current ? undefined : resumeDate(job.endDate),
+        worksFor: { '@type': 'Organization', name: job.company },
+      })),
+      alumniOf: resume.education.map(school => ({
+        '@type': 'OrganizationRole',
+        roleName: `${school.degree}, ${school.field}`,
+        startDate: resumeDate(school.startDate),
+        endDate: resumeDate(school.endDate),
+        alumniOf: { '@type': 'EducationalOrganization', name: school.institution },
+      })),
+      hasCredential: resume.certifications.map(cert => ({
+        '@type': 'EducationalOccupationalCredential',
+        name: cert.name,
+        credentialCategory: 'certification',
+        dateCreated: resumeDate(cert.date),
+        recognizedBy: { '@type': 'Organization', name: cert.issuer },
+        ...(cert.url && { url: cert.url }),
+      })),
+      knowsAbout: resume.skills.flatMap(group => group.items.map(skill => skill.name)),
+    },
+  };
+}
+
+/**
+ * SoftwareSourceCode for a project in src/data/projects.json
+ */
+export function softwareSourceCode(project, { url }) {
+  return {
+    '@context': CONTEXT,
+    '@type': 'SoftwareSourceCode',
+    name: project.name,
+    description: project.description,
+    url,
+    codeRepository: project.url,
+    keywords: project.tech.join(', '),
+    author: AUTHOR_REF,
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * Blog Taxonomy
+ *
+ * The one list of article categories: the frontmatter value, its URL slug,
+ * a description, the badge classes and an accent color for social cards.
+ * Used by BlogSection, the article and archive views, the content linter's
+ * frontmatter schema and the Open Graph images. Tags are free form and only
+ * need a slug (termSlug). Keep this file free of DOM and Node APIs.
+ */
+
+import { termSlug } from './slugify.mjs';
+
+const FALLBACK_COLOR = 'bg-gray-100 dark:bg-slate-800 text-gray-700 dark:text-gray-300';
+const FALLBACK_ACCENT = '#64748b';
+
+export const categories = [
+  {
+    name: 'AI/ML',
+    label: 'AI/ML',
+    description: 'LLMs in production, agents, retrieval and the infrastructure behind them.',
+    color: 'bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300',
+    accent: '#a855f7',
+  },
+  {
+    name: 'Technical',
+    label: 'Technical',
+    description: 'Systems engineering, performance, APIs and the tools of the trade.',
+    color: 'bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300',
+    accent: '#3b82f6',
+  },
+  {
+    name: 'Projects',
+    label: 'Projects',
+    description: 'Write-ups of things I have built, from homelabs to hardware.',
+    color: 'bg-emerald-100 dark:bg-emerald-900/30 text-emerald-700 dark:text-emerald-300',
+    accent: '#10b981',
+  },
+  {
+    name: 'Security',
+    label: 'Security',
+    description: 'Defending AI systems, smart contracts and production infrastructure.',
+    color: 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300',
+    accent: '#ef4444',
+  },
+  {
+    name: 'Crypto',
+    label: 'Crypto',
+    description: 'Web3, DeFi protocols and what it takes to ship on-chain.',
+    color: 'bg-orange-100 dark:bg-orange-900/30 text-orange-700 dark:text-orange-300',
+    accent: '#f97316',
+  },
+  {
+    name: 'Career',
+    label: 'Career',
+    description: 'Growing as an engineer and leading teams.',
+    color: 'bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300',
+    accent: '#f59e0b',
+  },
+  {
+    name: 'Personal',
+    label: 'Personal',
+    description: 'Notes on how I work and what I am learning.',
+    color: 'bg-cyan-100 dark:bg-cyan-900/30 text-cyan-700 dark:text-cyan-300',
+    accent: '#06b6d4',
+  },
+].map(category => ({ ...category, slug: termSlug(category.name) }));
+
+export const CATEGORY_NAMES = categories.map(c => c.name);
+
+export const findCategory = (name) => categories.find(c => c.name === name) || null;
+export const findCategoryBySlug = (slug) => categories.find(c => c.slug === slug) || null;
+
+// Badge classes for a category name, neutral for anything unknown
+export function categoryColor(name) {
+  return findCategory(name)?.color || FALLBACK_COLOR;
+}
+
+// Hex accent for a category name (Open Graph cards), slate for anything unknown
+export function categoryAccent(name) {
+  return findCategory(name)?.accent || FALLBACK_ACCENT;
+}
+
+export const categoryPath = (name) => `/blog/category/${termSlug(name)}`;
+export const tagPath = (tag) => `/blog/tag/${termSlug(tag)}`;
+export const archivePath = (year) => `/blog/archive/${year}`;
+
+/**
+ * Count articles per tag slug: [{ slug, label, count }], most used first.
+ * Tags that share a slug ("CI/CD", "CI-CD") are merged under the first label.
+ */
+export function tagCounts(articles) {
+  const counts = new Map();
+  articles.forEach(article => (article.tags || []).forEach((tag) => {
+    const slug = termSlug(tag);
+    const entry = counts.get(slug) || { slug, label: tag, count: 0 };
+    entry.count++;
+    counts.set(slug, entry);
+  }));
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+
+/**
+ * Count articles per publication year: [{ year, count }], newest first
+ */
+export function yearCounts(articles) {
+  const counts = new Map();
+  articles.forEach((article) => {
+    const year = String(article.date || '').slice(0, 4);
+    if (year) counts.set(year, (counts.get(year) || 0) + 1);
+  });
+  return [...counts.entries()].map(([year, count]) => ({ year, count })).sort((a, b) => b.year.localeCompare(a.year));
+}
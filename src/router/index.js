@@ -1,6 +1,8 @@
-import { createRouter, createWebHashHistory } from "vue-router";
+import { createRouter, createWebHistory, createWebHashHistory } from "vue-router";
 import { defineAsyncComponent } from "vue";
 import { initSEO } from "@/utils/seo";
+import { PAGE_META } from "@/content/head.mjs";
+import { ROUTER_MODE, ogImageUrl } from "@/content/site.mjs";
 
 // Portfolio loads immediately since it's the main page
 import Portfolio from "@/views/PortfolioView.vue";
@@ -8,16 +10,15 @@ import Portfolio from "@/views/PortfolioView.vue";
 // Lazy load views for better performance
 const ProjectDetail = defineAsyncComponent(() => import("@/views/ProjectDetailView.vue"));
 const BlogArticle = defineAsyncComponent(() => import("@/views/BlogArticleView.vue"));
+const BlogArchive = defineAsyncComponent(() => import("@/views/BlogArchiveView.vue"));
 const PhotoGallery = defineAsyncComponent(() => import("@/views/PhotoGalleryView.vue"));
 const Resume = defineAsyncComponent(() => import("@/views/ResumeView.vue"));
+const Search = defineAsyncComponent(() => import("@/views/SearchView.vue"));
 
 const routes = [
   {
-    meta: {
-      title: "Punit Mishra - Portfolio",
-      description: "Full Stack Software Engineer with 12+ years of experience building scalable applications from silicon to software. Specialized in AI/ML infrastructure, systems architecture, and enterprise software development.",
-    },
-    path: "/",
+    meta: PAGE_META.portfolio,
+    path: PAGE_META.portfolio.path,
     name: "portfolio",
     component: Portfolio,
   },
@@ -41,27 +42,79 @@ const routes = [
   },
   {
     meta: {
-      title: "Photo Gallery - Punit Mishra",
-      description: "Photo gallery featuring professional photos, project screenshots, and personal moments.",
+      archive: "category",
+      title: "Blog Category - Punit Mishra",
+      description: "Articles by category: AI/ML, systems engineering, security, projects and more.",
     },
-    path: "/photos",
-    name: "photos",
-    component: PhotoGallery,
+    path: "/blog/category/:category",
+    name: "blog-category",
+    component: BlogArchive,
+  },
+  {
+    meta: {
+      archive: "tag",
+      title: "Blog Tag - Punit Mishra",
+      description: "Technical articles on a single topic.",
+    },
+    path: "/blog/tag/:tag",
+    name: "blog-tag",
+    component: BlogArchive,
   },
   {
     meta: {
-      title: "Resume - Punit Mishra",
-      description: "Interactive resume and CV of Punit Mishra, Full Stack Software Engineer.",
+      archive: "archive",
+      title: "Blog Archive - Punit Mishra",
+      description: "Every article published in a given year.",
     },
-    path: "/resume",
+    path: "/blog/archive/:year(\\d{4})",
+    name: "blog-archive",
+    component: BlogArchive,
+  },
+  {
+    meta: PAGE_META.photos,
+    path: PAGE_META.photos.path,
+    name: "photos",
+    component: PhotoGallery,
+  },
+  {
+    meta: PAGE_META.resume,
+    path: PAGE_META.resume.path,
     name: "resume",
     component: Resume,
   },
+  {
+    meta: {
+      title: "Search - Punit Mishra",
+      description: "Search articles, projects and photos.",
+    },
+    path: "/search",
+    name: "search",
+    component: Search,
+  },
 ];
 
+// The site used hash routing before, and old links (/#/blog/slug,
+// /#/blog/slug#section) are still out there. Rewrite them to the clean path
+// before the router reads the URL. Plain anchors like /#projects aren't
+// routes and are left alone.
+function rewriteLegacyHashUrl() {
+  const { hash } = window.location;
+  if (hash.startsWith("#/")) {
+    window.history.replaceState(window.history.state, "", hash.slice(1));
+  }
+}
+
+if (ROUTER_MODE === "history") {
+  rewriteLegacyHashUrl();
+}
+
 const router = createRouter({
-  // Use hash history for GitHub Pages compatibility
-  history: createWebHashHistory(),
+  // HTML5 history (see ROUTER_MODE); hosts serve prerendered routes as static
+  // pages and fall back to the app shell, dist/404.html, for the rest
+  // (vite.config.js)
+  history: ROUTER_MODE === "hash"
+    ? createWebHashHistory(import.meta.env.BASE_URL)
+    : createWebHistory(import.meta.env.BASE_URL),
   routes,
   scrollBehavior(to, from, savedPosition) {
     if (to.hash) {
@@ -71,12 +124,16 @@ const router = createRouter({
   },
 });
 
-// SEO integration - update meta tags on route change
-router.afterEach((to) => {
+// SEO integration - update meta tags on route change.
+// Section anchors (/blog/slug#heading) keep the page's current tags.
+router.afterEach((to, from) => {
+  if (from.matched.length && to.path === from.path && to.hash !== from.hash) return;
   initSEO({
     title: to.meta?.title,
     description: to.meta?.description,
-    path: to.fullPath,
+    path: to.path,
+    // The article's card is known before the article loads
+    image: to.name === "blog-article" ? ogImageUrl(to.params.slug) : undefined,
   });
 });
 
@@ -0,0 +1,69 @@
+/**
+ * Reading Progress
+ * Remembers how far the reader got in each article, in localStorage only:
+ *
+ *   { [slug]: { heading, progress, read, updatedAt } }
+ *
+ * progress is the furthest point reached in the article body (0-1), heading
+ * the id of the section they were last in. BlogArticleView writes it,
+ * ArticleCard reads it.
+ */
+
+import { readingProgressKey } from '@/config';
+
+// Past this point of the body an article counts as read
+const READ_AT = 0.9;
+// Less than this is a bounce, not a start
+const STARTED_AT = 0.05;
+
+function load() {
+  try {
+    return JSON.parse(localStorage.getItem(readingProgressKey)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function store(entries) {
+  try {
+    localStorage.setItem(readingProgressKey, JSON.stringify(entries));
+  } catch {
+    // Storage full or disabled (private mode); progress just isn't kept
+  }
+}
+
+/**
+ * The saved entry for an article, or null
+ */
+export function getReadingProgress(slug) {
+  return load()[slug] || null;
+}
+
+/**
+ * Record the reader's position: the heading they're in and how far into
+ * the body they are. Progress only moves forward, and a read article stays
+ * read when it's opened again.
+ */
+export function saveReadingProgress(slug, { heading, progress }) {
+  const entries = load();
+  const previous = entries[slug] || { progress: 0, read: false };
+  const furthest = Math.max(previous.progress, progress);
+
+  entries[slug] = {
+    heading: heading || previous.heading || null,
+    progress: Math.round(furthest * 100) / 100,
+    read: previous.read || furthest >= READ_AT,
+    updatedAt: new Date().toISOString(),
+  };
+  store(entries);
+}
+
+/**
+ * 'read', 'in-progress' or 'unread'
+ */
+export function readingState(slug) {
+  const entry = getReadingProgress(slug);
+  if (entry?.read) return 'read';
+  if (entry && entry.progress >= STARTED_AT) return 'in-progress';
+  return 'unread';
+}
@@ -1,71 +1,16 @@
 /**
  * SEO Utilities
- * Handles dynamic meta tags, structured data, and SEO optimization
+ * Applies a page's head (src/content/head.mjs) to the document as the app
+ * navigates: title, meta tags, canonical URL, feed links and structured data
  */
 
-export const siteConfig = {
-  title: 'Punit Mishra - Software Engineer Portfolio',
-  description: 'Full Stack Software Engineer with 12+ years of experience building scalable applications from silicon to software. Specialized in AI/ML infrastructure, systems architecture, and enterprise software development.',
-  url: 'https://punitmishra.com',
-  image: 'https://punitmishra.com/assets/images/github-header-image-pm.png',
-  author: 'Punit Mishra',
-  keywords: [
-    'Punit Mishra',
-    'Software Engineer',
-    'Full Stack Developer',
-    'AI/ML Infrastructure',
-    'Systems Architect',
-    'Vue.js',
-    'React',
-    'Python',
-    'Rust',
-    'LangGraph',
-    'Portfolio',
-    'SAP',
-    'Enterprise Software'
-  ].join(', '),
-};
+import { pageTitle, routeHead, metaTags, feedLinks } from '@/content/head.mjs';
 
 /**
  * Update document title
  */
 export function updateTitle(title) {
-  document.title = title ? `${title} | ${siteConfig.title}` : siteConfig.title;
-}
-
-/**
- * Update meta tags
- */
-export function updateMetaTags(meta = {}) {
-  const {
-    title = siteConfig.title,
-    description = siteConfig.description,
-    image = siteConfig.image,
-    url = siteConfig.url,
-    type = 'website',
-  } = meta;
-
-  // Basic meta tags
-  updateMetaTag('name', 'description', description);
-  updateMetaTag('name', 'keywords', siteConfig.keywords);
-  updateMetaTag('name', 'author', siteConfig.author);
-
-  // Open Graph
-  updateMetaTag('property', 'og:title', title);
-  updateMetaTag('property', 'og:description', description);
-  updateMetaTag('property', 'og:image', image);
-  updateMetaTag('property', 'og:url', url);
-  updateMetaTag('property', 'og:type', type);
-  updateMetaTag('property', 'og:site_name', siteConfig.title);
-
-  // Twitter Card
-  updateMetaTag('property', 'twitter:card', 'summary_large_image');
-  updateMetaTag('property', 'twitter:title', title);
-  updateMetaTag('property', 'twitter:description', description);
-  updateMetaTag('property', 'twitter:image', image);
-
-  // Canonical URL
-  updateCanonicalUrl(url);
+  document.title = pageTitle(title);
 }
 
 /**
@@ -99,73 +44,52 @@ function updateCanonicalUrl(url) {
 }
 
 /**
- * Generate structured data (JSON-LD)
+ * Replace the feed discovery links (<link rel="alternate">).
+ * Pass { kind: 'category' | 'tag', term } entries to add a page's topic
+ * feeds (see feedLinks in head.mjs).
  */
-export function generateStructuredData(type = 'Person', additionalData = {}) {
-  const baseData = {
-    '@context': 'https://schema.org',
-    '@type': type,
-    name: 'Punit Mishra',
-    url: siteConfig.url,
-    image: siteConfig.image,
-    jobTitle: 'Senior Software Engineer',
-    worksFor: {
-      '@type': 'Organization',
-      name: 'SAP',
-    },
-    sameAs: [
-      'https://github.com/punitmishra',
-      'https://linkedin.com/in/mishrapunit',
-      'https://twitter.com/punitmishra',
-    ],
-    ...additionalData,
-  };
-
-  return baseData;
+export function updateFeedLinks(topics = []) {
+  document.querySelectorAll('link[data-feed]').forEach(el => el.remove());
+
+  feedLinks(topics).forEach(({ type, title, href }) => {
+    const element = document.createElement('link');
+    element.setAttribute('rel', 'alternate');
+    element.setAttribute('type', type);
+    element.setAttribute('title', title);
+    element.setAttribute('href', href);
+    element.setAttribute('data-feed', '');
+    document.head.appendChild(element);
+  });
 }
 
 /**
- * Inject structured data into page
+ * Replace the page's structured data (JSON-LD)
  */
-export function injectStructuredData(data) {
-  // Remove existing structured data
-  const existing = document.querySelector('script[type="application/ld+json"]');
-  if (existing) {
-    existing.remove();
-  }
+export function injectStructuredData(items) {
+  document.querySelectorAll('script[type="application/ld+json"]').forEach(el => el.remove());
+
+  items.forEach((data) => {
+    const script = document.createElement('script');
+    script.type = 'application/ld+json';
+    script.textContent = JSON.stringify(data);
+    document.head.appendChild(script);
+  });
+}
 
-  // Add new structured data
-  const script = document.createElement('script');
-  script.type = 'application/ld+json';
-  script.textContent = JSON.stringify(data);
-  document.head.appendChild(script);
+/**
+ * Apply a head from head.mjs (routeHead, articleHead, projectHead)
+ */
+export function applyHead(head) {
+  updateTitle(head.title);
+  metaTags(head).forEach(([attribute, name, content]) => updateMetaTag(attribute, name, content));
+  updateCanonicalUrl(head.url);
+  updateFeedLinks(head.topics);
+  injectStructuredData(head.structuredData);
 }
 
 /**
- * Initialize SEO for a route
+ * Initialize SEO for a route: { title, description, path, image }
  */
 export function initSEO(routeMeta = {}) {
-  updateTitle(routeMeta.title);
-  updateMetaTags({
-    title: routeMeta.title || siteConfig.title,
-    description: routeMeta.description || siteConfig.description,
-    url: `${siteConfig.url}${routeMeta.path || ''}`,
-  });
-
-  // Add Person structured data
-  const personData = generateStructuredData('Person', {
-    description: siteConfig.description,
-    knowsAbout: [
-      'Software Engineering',
-      'AI/ML Infrastructure',
-      'Systems Architecture',
-      'Full Stack Development',
-      'Rust',
-      'Python',
-      'Vue.js',
-      'React',
-    ],
-  });
-  injectStructuredData(personData);
+  applyHead(routeHead(routeMeta));
 }
-
@@ -3,7 +3,7 @@
 const plugin = require("tailwindcss/plugin");
 
 module.exports = {
-  content: ["./index.html", "./src/**/*.{vue,js,ts,jsx,tsx}"],
+  content: ["./index.html", "./src/**/*.{vue,js,mjs,ts,jsx,tsx}"],
   darkMode: "class", // or 'media' or 'class'
   theme: {
     asideScrollbars: {
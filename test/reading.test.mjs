@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { NAV_HEIGHT, MIN_DWELL_MS, bodyProgress, shouldSaveProgress } from '../src/content/reading.mjs';
+
+const VIEWPORT = 900;
+
+test('a body shorter than the viewport is at the end on load', () => {
+  assert.equal(bodyProgress({ top: 300, height: 400 }, VIEWPORT), 1);
+});
+
+test('a short body is not saved before the reader scrolls or stays', () => {
+  const progress = bodyProgress({ top: 300, height: 400 }, VIEWPORT);
+  assert.equal(shouldSaveProgress(progress, { scrolled: false, dwellMs: 0 }), false);
+  assert.equal(shouldSaveProgress(progress, { scrolled: false, dwellMs: MIN_DWELL_MS - 1 }), false);
+});
+
+test('a short body is saved once the reader has stayed or scrolled', () => {
+  const progress = bodyProgress({ top: 300, height: 400 }, VIEWPORT);
+  assert.equal(shouldSaveProgress(progress, { scrolled: false, dwellMs: MIN_DWELL_MS }), true);
+  assert.equal(shouldSaveProgress(progress, { scrolled: true, dwellMs: 0 }), true);
+});
+
+test('a long body runs from its top at the nav bar to its end in view', () => {
+  const height = 3000;
+  assert.equal(bodyProgress({ top: NAV_HEIGHT, height }, VIEWPORT), 0);
+  assert.equal(bodyProgress({ top: VIEWPORT - height, height }, VIEWPORT), 1);
+  assert.equal(shouldSaveProgress(0, { scrolled: true, dwellMs: MIN_DWELL_MS }), false);
+});
@@ -0,0 +1,29 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import medium from '../scripts/lib/syndication/medium.mjs';
+
+const article = {
+  slug: 'latency-budget-playbook',
+  title: 'Latency Budget Playbook',
+  tags: ['Performance'],
+  url: 'https://punitmishra.com/blog/latency-budget-playbook',
+};
+
+const headings = (html) => html.match(/<h1\b/g) || [];
+
+test('a body that opens with its own title gets one <h1>', () => {
+  const { content } = medium.format({ ...article, body: '# Latency Budget Playbook\n\nFast systems are not an accident.\n' });
+  assert.equal(headings(content).length, 1);
+  assert.match(content, /^<h1>Latency Budget Playbook<\/h1>\n<p>Fast systems/);
+});
+
+test('a body without the title heading keeps its content', () => {
+  const { content } = medium.format({ ...article, body: 'Fast systems are not an accident.\n\n## Set a Budget\n' });
+  assert.equal(headings(content).length, 1);
+  assert.match(content, /<h2[^>]*>Set a Budget<\/h2>/);
+});
+
+test('a leading h1 that differs from the title is kept', () => {
+  const { content } = medium.format({ ...article, body: '# Something Else\n\nText.\n' });
+  assert.equal(headings(content).length, 2);
+});
@@ -1,14 +1,59 @@
 import { fileURLToPath, URL } from "node:url";
+import fs from "node:fs";
+import path from "node:path";
 import { defineConfig } from "vite";
 import vue from "@vitejs/plugin-vue";
 // Temporarily disable PWA plugin to fix deployment issues
 // import { VitePWA } from 'vite-plugin-pwa';
 
+// Drafts and scheduled posts are previewable in dev, but their markdown and
+// the drafts.json manifest (with preview tokens) must not ship.
+// See scripts/build-content-index.mjs.
+function stripUnpublishedContent() {
+  let outDir;
+  return {
+    name: "strip-unpublished-content",
+    apply: "build",
+    configResolved(config) {
+      outDir = path.resolve(config.root, config.build.outDir);
+    },
+    closeBundle() {
+      const blogDir = path.join(outDir, "content/blog");
+      const manifest = path.join(blogDir, "drafts.json");
+      if (!fs.existsSync(manifest)) return;
+
+      const { articles } = JSON.parse(fs.readFileSync(manifest, "utf-8"));
+      articles.forEach(({ slug }) => fs.rmSync(path.join(blogDir, `${slug}.md`), { force: true }));
+      fs.rmSync(manifest);
+    },
+  };
+}
+
+// GitHub Pages has no rewrites: it serves 404.html for any path that isn't
+// a file. A copy of index.html there boots the app, and the router renders
+// the requested route. server.js and nginx.conf fall back to it too, since
+// scripts/prerender.mjs later turns index.html into the home page.
+function spaFallback() {
+  let outDir;
+  return {
+    name: "spa-fallback",
+    apply: "build",
+    configResolved(config) {
+      outDir = path.resolve(config.root, config.build.outDir);
+    },
+    closeBundle() {
+      fs.copyFileSync(path.join(outDir, "index.html"), path.join(outDir, "404.html"));
+    },
+  };
+}
+
 // https://vitejs.dev/config/
 export default defineConfig({
   base: "/", // Root domain - punitmishra.com
   plugins: [
     vue(),
+    stripUnpublishedContent(),
+    spaFallback(),
     // PWA plugin temporarily disabled due to workbox build issues
     // Will re-enable once workbox dependencies are resolved
     // VitePWA({
@@ -51,8 +96,18 @@ export default defineConfig({
     rollupOptions: {
       output: {
         manualChunks: (id) => {
+          // Runtime helpers go with Vue, which every page loads. Left alone
+          // they land in the first vendor chunk that uses them, and the entry
+          // then imports that whole chunk (mermaid included).
+          if (/^\0(vite\/preload-helper|commonjsHelpers)/.test(id)) {
+            return 'vue-vendor';
+          }
           // Vendor chunks - split for better caching
           if (id.includes('node_modules')) {
+            // highlight.js grammars load per article (src/content/highlight.mjs)
+            if (/highlight\.js\/(es|lib)\/languages\//.test(id)) {
+              return undefined;
+            }
             // Core Vue ecosystem
             if (id.includes('vue') || id.includes('vue-router') || id.includes('pinia')) {
               return 'vue-vendor';
@@ -66,7 +121,7 @@ export default defineConfig({
               return 'utils-vendor';
             }
             // Markdown/highlighting - lazy loaded
-            if (id.includes('marked') || id.includes('highlight.js') || id.includes('mermaid')) {
+            if (id.includes('marked') || id.includes('highlight.js') || id.includes('mermaid') || id.includes('katex')) {
               return 'markdown-vendor';
             }
             // PDF generation - lazy loaded